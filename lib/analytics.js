@@ -0,0 +1,288 @@
+// Poll and session analytics for teachers: who took part, how long answers
+// took, how quickly each option gathered votes, and how these move over a
+// session's polls. Everything is derived from a poll's `responses` (each
+// with its timestamp) and `roster`, the students who were in the session
+// while it ran, so the same functions work on live polls and on history.
+//
+// Times are seconds from the poll's start. They include any time the poll
+// spent paused. Response times count from a student's first answer; option
+// velocity uses the time the final answer was given.
+const { isGraded } = require('./questionTypes');
+
+const DISTRIBUTION_BUCKETS = 10;
+const TREND_THRESHOLD = 0.05; // change per poll, relative to the mean, still counted as steady
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+// When a student first answered, before any changes
+function firstAnsweredAt(response) {
+  return response.firstTimestamp || response.timestamp;
+}
+
+function secondsSinceStart(poll, timestamp) {
+  return Math.max(0, (new Date(timestamp).getTime() - new Date(poll.startTime).getTime()) / 1000);
+}
+
+// The students a poll was put to: everyone on its roster plus anyone who
+// answered without being on it (joined after it started)
+function getEligibleStudents(poll) {
+  const students = new Map();
+
+  (poll.roster || []).forEach(({ studentId, studentName }) => {
+    students.set(studentId, { studentId, studentName });
+  });
+  Object.values(poll.responses || {}).forEach(({ studentId, studentName }) => {
+    if (!students.has(studentId)) students.set(studentId, { studentId, studentName });
+  });
+
+  return Array.from(students.values());
+}
+
+function buildParticipation(poll) {
+  const eligible = getEligibleStudents(poll);
+  const responses = poll.responses || {};
+  const nonResponders = eligible
+    .filter(student => !responses[student.studentId])
+    .sort((a, b) => (a.studentName || '').localeCompare(b.studentName || ''));
+
+  return {
+    eligible: eligible.length,
+    responded: eligible.length - nonResponders.length,
+    rate: percentage(eligible.length - nonResponders.length, eligible.length),
+    nonResponders
+  };
+}
+
+// Equal-width time buckets from the start of the poll to its last answer
+// (or its duration, whichever is longer)
+function buildBuckets(poll, times) {
+  const span = Math.max(poll.duration || 0, ...times, 1);
+  const width = Math.max(1, Math.ceil(span / DISTRIBUTION_BUCKETS));
+  const count = Math.ceil(span / width);
+
+  return Array.from({ length: count }, (_, index) => ({ from: index * width, to: (index + 1) * width }));
+}
+
+function bucketIndex(buckets, seconds) {
+  const width = buckets[0].to - buckets[0].from;
+  return Math.min(buckets.length - 1, Math.floor(seconds / width));
+}
+
+function buildResponseTimes(poll, timed, buckets) {
+  const times = timed.map(({ response }) => secondsSinceStart(poll, firstAnsweredAt(response)));
+  const sorted = [...times].sort((a, b) => a - b);
+  const distribution = buckets.map(bucket => ({ ...bucket, count: 0 }));
+
+  times.forEach(seconds => {
+    distribution[bucketIndex(buckets, seconds)].count++;
+  });
+
+  return {
+    count: times.length,
+    median: times.length > 0 ? round(median(times)) : null,
+    mean: times.length > 0 ? round(times.reduce((sum, seconds) => sum + seconds, 0) / times.length) : null,
+    fastest: times.length > 0 ? round(sorted[0]) : null,
+    slowest: times.length > 0 ? round(sorted[sorted.length - 1]) : null,
+    p90: times.length > 0 ? round(quantile(sorted, 0.9)) : null,
+    distribution
+  };
+}
+
+// For option-based questions: when each option got its first vote, the
+// median time of its votes, and its running total per time bucket
+function buildOptionVelocity(poll, timed, buckets) {
+  if (!Array.isArray(poll.options) || poll.options.length === 0) return null;
+
+  return poll.options.map(option => {
+    const times = timed
+      .filter(({ response }) => [].concat(response.selectedOption).map(String).includes(option))
+      .map(entry => entry.seconds)
+      .sort((a, b) => a - b);
+
+    const perBucket = buckets.map(() => 0);
+    times.forEach(seconds => {
+      perBucket[bucketIndex(buckets, seconds)]++;
+    });
+
+    let total = 0;
+    const timeline = buckets.map((bucket, index) => {
+      total += perBucket[index];
+      return { to: bucket.to, votes: total };
+    });
+
+    const spanMinutes = times.length > 0 ? Math.max(times[times.length - 1], 1) / 60 : 0;
+
+    return {
+      option,
+      votes: times.length,
+      firstVoteAt: times.length > 0 ? round(times[0]) : null,
+      medianTime: times.length > 0 ? round(median(times)) : null,
+      votesPerMinute: times.length > 0 ? round(times.length / spanMinutes) : 0,
+      timeline
+    };
+  });
+}
+
+// How many students changed their answer, and (on graded polls) whether
+// their changes went from wrong to right or the other way
+function buildAnswerChanges(poll) {
+  const responses = Object.values(poll.responses || {});
+  const changed = responses.filter(response => (response.history || []).length > 0);
+  const graded = isGraded(poll);
+
+  return {
+    studentsChanged: changed.length,
+    totalChanges: changed.reduce((sum, response) => sum + response.history.length, 0),
+    ...(graded && {
+      toCorrect: changed.filter(response => !response.history[0].isCorrect && response.isCorrect).length,
+      toIncorrect: changed.filter(response => response.history[0].isCorrect && !response.isCorrect).length
+    })
+  };
+}
+
+// Analytics for one poll that has started (running or ended)
+function buildPollAnalytics(poll) {
+  if (!poll.startTime) return null;
+
+  const timed = Object.values(poll.responses || {})
+    .map(response => ({ response, seconds: secondsSinceStart(poll, response.timestamp) }))
+    .sort((a, b) => a.seconds - b.seconds);
+  const buckets = buildBuckets(poll, timed.map(entry => entry.seconds));
+
+  const analytics = {
+    pollId: poll.id,
+    question: poll.question,
+    type: poll.type || 'single',
+    startTime: poll.startTime,
+    endTime: poll.endTime,
+    participation: buildParticipation(poll),
+    responseTimes: buildResponseTimes(poll, timed, buckets),
+    optionVelocity: buildOptionVelocity(poll, timed, buckets)
+  };
+
+  if (poll.allowAnswerChange) {
+    analytics.answerChanges = buildAnswerChanges(poll);
+  }
+
+  if (isGraded(poll)) {
+    const correct = timed.filter(({ response }) => response.isCorrect);
+    const incorrect = timed.filter(({ response }) => response.isCorrect === false);
+    analytics.correctness = {
+      correctPercentage: percentage(correct.length, timed.length),
+      medianCorrectTime: correct.length > 0 ? round(median(correct.map(entry => entry.seconds))) : null,
+      medianIncorrectTime: incorrect.length > 0 ? round(median(incorrect.map(entry => entry.seconds))) : null
+    };
+  }
+
+  return analytics;
+}
+
+// Least-squares slope of `values` against their index, described as rising,
+// falling or steady relative to their mean
+function describeTrend(values) {
+  const points = values
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => point.y !== null && point.y !== undefined);
+
+  if (points.length < 2) {
+    return { first: points[0]?.y ?? null, last: points[0]?.y ?? null, slope: null, direction: null };
+  }
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = variance > 0 ? covariance / variance : 0;
+
+  let direction = 'steady';
+  if (Math.abs(slope) > Math.abs(meanY) * TREND_THRESHOLD) {
+    direction = slope > 0 ? 'rising' : 'falling';
+  }
+
+  return {
+    first: points[0].y,
+    last: points[points.length - 1].y,
+    slope: round(slope, 2),
+    direction
+  };
+}
+
+// Analytics across a session's ended polls (history entries), oldest first:
+// one row per poll, trends, and the students who missed the most polls
+function buildSessionAnalytics(polls) {
+  const ordered = polls
+    .filter(poll => poll.startTime)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  const rows = ordered.map(poll => {
+    const analytics = poll.analytics || buildPollAnalytics(poll);
+    return {
+      pollId: poll.id,
+      question: poll.question,
+      type: poll.type || 'single',
+      startTime: poll.startTime,
+      eligible: analytics.participation.eligible,
+      responded: analytics.participation.responded,
+      participationRate: analytics.participation.rate,
+      medianResponseTime: analytics.responseTimes.median,
+      correctPercentage: analytics.correctness ? analytics.correctness.correctPercentage : null,
+      nonResponders: analytics.participation.nonResponders
+    };
+  });
+
+  // Per student: polls they were there for and polls they answered
+  const students = new Map();
+  ordered.forEach(poll => {
+    getEligibleStudents(poll).forEach(({ studentId, studentName }) => {
+      const entry = students.get(studentId) || { studentId, studentName, eligible: 0, responded: 0 };
+      entry.eligible++;
+      if (poll.responses?.[studentId]) entry.responded++;
+      students.set(studentId, entry);
+    });
+  });
+
+  const studentParticipation = Array.from(students.values())
+    .map(entry => ({ ...entry, missed: entry.eligible - entry.responded, rate: percentage(entry.responded, entry.eligible) }))
+    .sort((a, b) => a.rate - b.rate || b.missed - a.missed || (a.studentName || '').localeCompare(b.studentName || ''));
+
+  const rates = rows.map(row => row.participationRate);
+  const medianTimes = rows.map(row => row.medianResponseTime);
+  const graded = rows.filter(row => row.correctPercentage !== null);
+
+  return {
+    totalPolls: rows.length,
+    averageParticipationRate: rows.length > 0 ? round(rates.reduce((sum, rate) => sum + rate, 0) / rows.length) : null,
+    medianResponseTime: median(medianTimes.filter(time => time !== null)),
+    trends: {
+      participationRate: describeTrend(rates),
+      medianResponseTime: describeTrend(medianTimes),
+      correctPercentage: describeTrend(graded.map(row => row.correctPercentage))
+    },
+    polls: rows,
+    students: studentParticipation
+  };
+}
+
+module.exports = {
+  buildPollAnalytics,
+  buildSessionAnalytics
+};
@@ -0,0 +1,72 @@
+// The Express app both deployments serve: server.js adds Socket.io on top,
+// and api/index.js exports it as the serverless handler.
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const engine = require('./engine');
+const { attachBroadcasts } = require('./broadcasts');
+const { createEventStream } = require('./eventStream');
+const { createApiRouter } = require('./routes');
+const { createHttpRateLimiter } = require('./rateLimit');
+const { pubsub } = require('./pubsub');
+const { store } = require('./storage');
+const { attachWebhooks } = require('./webhooks');
+
+const ALLOWED_ORIGINS = [
+  "http://localhost:5173",
+  "http://localhost:5174",
+  "http://localhost:3000",
+  "https://live-polling-gules.vercel.app",
+  "https://*.vercel.app"
+];
+
+function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(helmet());
+  app.use(cors({
+    origin: ALLOWED_ORIGINS,
+    credentials: true
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Rate limiting, per teacher or student (per IP before they have a token)
+  app.use('/api', createHttpRateLimiter());
+
+  // End polls whose deadline passed, and start scheduled polls whose time
+  // has come, before handling anything else. Poll timers normally do this,
+  // but a serverless instance may have been frozen or replaced since.
+  app.use('/api', (req, res, next) => {
+    engine.endExpiredPolls()
+      .then(() => engine.startDueScheduledPolls())
+      .then(() => next(), next);
+  });
+
+  // Client events over SSE and long-polling, for clients without Socket.io
+  const eventStream = createEventStream({ store, pubsub });
+  attachBroadcasts(engine.events, (room, event, data) => {
+    eventStream.publish(room, event, data).catch(error => {
+      console.error('Error publishing client event:', error);
+    });
+  });
+
+  // Signed webhooks for teachers' integrations (see lib/webhooks.js)
+  attachWebhooks(engine.events);
+
+  app.use(createApiRouter({ eventStream }));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  createApp
+};
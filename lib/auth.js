@@ -0,0 +1,102 @@
+// Signed session tokens for teachers and students. The server issues a token
+// when someone opens or joins a session and takes identity from it afterwards,
+// instead of trusting ids sent in request bodies or socket payloads.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  // Tokens signed with a random secret stop verifying after a restart
+  console.warn('AUTH_SECRET is not set; using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function issueToken({ id, name, role, sessionCode }) {
+  return jwt.sign({ name, role, sessionCode }, secret, {
+    subject: id,
+    expiresIn: TOKEN_TTL
+  });
+}
+
+// Returns the identity stored in a token, or null if it is missing or invalid
+function verifyToken(token) {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, secret);
+    return {
+      id: payload.sub,
+      name: payload.name,
+      role: payload.role,
+      sessionCode: payload.sessionCode
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Attach req.user when a valid token is present, without requiring one
+function optionalAuth(req, res, next) {
+  req.user = verifyToken(getBearerToken(req));
+  next();
+}
+
+// Express middleware: require a valid token, optionally for specific roles
+function requireAuth(...roles) {
+  return (req, res, next) => {
+    const user = verifyToken(getBearerToken(req));
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      return res.status(403).json({ error: 'You are not allowed to perform this action' });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+// Express middleware for event streams: like requireAuth(), but also accepts
+// the token as ?token=, since browsers' EventSource cannot send headers
+function requireStreamAuth(req, res, next) {
+  const user = verifyToken(getBearerToken(req) || req.query.token);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Socket.io middleware: reject handshakes without a valid token
+function authenticateSocket(socket, next) {
+  const user = verifyToken(socket.handshake.auth?.token);
+
+  if (!user) {
+    return next(new Error('Authentication required'));
+  }
+
+  socket.user = user;
+  next();
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  optionalAuth,
+  requireAuth,
+  requireStreamAuth,
+  authenticateSocket
+};
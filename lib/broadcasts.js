@@ -0,0 +1,255 @@
+// Turns the engine's domain events into the client events both transports
+// send. Each message goes to a room:
+//   <code>                     everyone in the session
+//   <code>:teachers            the session's teachers
+//   <code>:participants        the session's students
+//   <code>:student:<studentId> one student
+//   <code>:staff:<teacherId>   one of the session's hosts
+// Teachers get full poll payloads; students get only what the poll's reveal
+// policy allows (see lib/serializers.js).
+const {
+  getTimeLeft,
+  createScheduleResponse,
+  createPollResponse,
+  createStudentPollResponse
+} = require('./serializers');
+const { createQuizResponse } = require('./quiz');
+const { getScoringSettings, rankScoreboard, buildLeaderboard } = require('./scoring');
+const { listParticipants, listBans } = require('./sessions');
+const { getChatSettings, getPublicChatSettings } = require('./chat');
+const { getPermissions, listStaff } = require('./permissions');
+
+const rooms = {
+  session: code => code,
+  teachers: code => `${code}:teachers`,
+  participants: code => `${code}:participants`,
+  student: (code, studentId) => `${code}:student:${studentId}`,
+  staff: (code, teacherId) => `${code}:staff:${teacherId}`
+};
+
+// The rooms a connected user belongs to
+function roomsFor({ id, role, sessionCode }) {
+  return role === 'teacher'
+    ? [rooms.session(sessionCode), rooms.teachers(sessionCode), rooms.staff(sessionCode, id)]
+    : [rooms.session(sessionCode), rooms.participants(sessionCode), rooms.student(sessionCode, id)];
+}
+
+// Call `send(room, event, data)` for every client event the engine's domain
+// events produce
+function attachBroadcasts(events, send) {
+  // Send a poll event to the session's teachers and students, each with their
+  // own view of the poll. Students never get the answer key before it is
+  // revealed, or the full responses map.
+  function sendPollEvent(poll, event, { teacher = {}, student = {} } = {}) {
+    send(rooms.teachers(poll.sessionCode), event, {
+      poll: createPollResponse(poll),
+      ...teacher
+    });
+    send(rooms.participants(poll.sessionCode), event, {
+      poll: createStudentPollResponse(poll),
+      ...student
+    });
+  }
+
+  events.on('sessionClosed', ({ session }) => {
+    send(rooms.session(session.code), 'sessionClosed', { sessionCode: session.code });
+  });
+
+  // Countdown to a scheduled poll. Students learn when it starts, but not
+  // its question until it does.
+  events.on('pollScheduled', ({ poll }) => {
+    send(rooms.teachers(poll.sessionCode), 'pollScheduled', {
+      ...createScheduleResponse(poll),
+      poll: createPollResponse(poll)
+    });
+    send(rooms.participants(poll.sessionCode), 'pollScheduled', createScheduleResponse(poll));
+  });
+
+  events.on('pollScheduleCancelled', ({ poll }) => {
+    send(rooms.session(poll.sessionCode), 'pollScheduleCancelled', { pollId: poll.id });
+  });
+
+  events.on('pollStarted', ({ poll, session }) => {
+    const participants = listParticipants(session);
+    sendPollEvent(poll, 'pollStarted', {
+      teacher: { participants },
+      student: { participants }
+    });
+  });
+
+  // Students see the counts only when live results are on, and never who
+  // answered what
+  events.on('responseSubmitted', ({ poll, response, previous }) => {
+    const studentPoll = createStudentPollResponse(poll);
+    sendPollEvent(poll, 'responseSubmitted', {
+      teacher: {
+        results: poll.results,
+        newResponse: {
+          studentId: response.studentId,
+          studentName: response.studentName,
+          selectedOption: response.selectedOption,
+          confidence: response.confidence || null,
+          changed: Boolean(previous),
+          previousOption: previous ? previous.selectedOption : null
+        }
+      },
+      student: { results: studentPoll.results }
+    });
+  });
+
+  // Sent only when a poll's deadline changes (pause, resume, extend). Clients
+  // count down to endTime, correcting their clock by the serverTime offset.
+  events.on('timerChanged', ({ poll }) => {
+    send(rooms.session(poll.sessionCode), 'timerUpdate', {
+      pollId: poll.id,
+      timeLeft: getTimeLeft(poll),
+      endTime: poll.endTime,
+      serverTime: new Date().toISOString(),
+      isPaused: Boolean(poll.isPaused)
+    });
+  });
+
+  events.on('pollEnded', ({ poll }) => {
+    const studentPoll = createStudentPollResponse(poll);
+    sendPollEvent(poll, 'pollEnded', {
+      teacher: { results: poll.finalResults, summary: poll.summary, analytics: poll.analytics },
+      student: { results: studentPoll.finalResults, summary: studentPoll.summary }
+    });
+  });
+
+  events.on('answerRevealed', ({ poll }) => sendPollEvent(poll, 'answerRevealed'));
+  events.on('revealPolicyUpdated', ({ poll }) => sendPollEvent(poll, 'revealPolicyUpdated'));
+
+  // Students see only the top N when the teacher has limited the leaderboard;
+  // teachers always get the full standings
+  events.on('leaderboardChanged', ({ session }) => {
+    const { leaderboardSize } = getScoringSettings(session);
+    const ranked = rankScoreboard(session);
+
+    // Each student gets the top of the board plus their own standing
+    Object.keys(session.participants || {}).forEach(studentId => {
+      send(rooms.student(session.code, studentId), 'leaderboardUpdated', {
+        leaderboard: buildLeaderboard(session, { limit: leaderboardSize, studentId, ranked })
+      });
+    });
+    send(rooms.teachers(session.code), 'leaderboardUpdated', {
+      leaderboard: buildLeaderboard(session, { ranked })
+    });
+  });
+
+  events.on('quizQuestionStarted', ({ quiz, poll }) => {
+    send(rooms.session(quiz.sessionCode), 'quizQuestionStarted', {
+      quiz: createQuizResponse(quiz),
+      pollId: poll.id
+    });
+  });
+
+  events.on('quizQuestionEnded', ({ quiz }) => {
+    send(rooms.session(quiz.sessionCode), 'quizQuestionEnded', {
+      quiz: createQuizResponse(quiz),
+      nextQuestionIn: quiz.autoAdvance ? quiz.advanceDelay : null
+    });
+  });
+
+  // Students get the quiz totals without anyone's answers or scores;
+  // their own standing comes with the leaderboard
+  events.on('quizEnded', ({ quiz }) => {
+    const { students, questions, averageCorrectPercentage, ...totals } = quiz.summary;
+
+    send(rooms.teachers(quiz.sessionCode), 'quizEnded', {
+      quiz: createQuizResponse(quiz),
+      summary: quiz.summary
+    });
+    send(rooms.participants(quiz.sessionCode), 'quizEnded', {
+      quiz: createQuizResponse(quiz),
+      summary: totals
+    });
+  });
+
+  events.on('participantJoined', ({ session, participant, resumed }) => {
+    send(rooms.session(session.code), resumed ? 'participantReconnected' : 'participantJoined', {
+      participant,
+      participants: listParticipants(session)
+    });
+  });
+
+  events.on('participantDisconnected', ({ session, studentId, reconnectWithin }) => {
+    send(rooms.teachers(session.code), 'participantDisconnected', {
+      studentId,
+      reconnectWithin,
+      participants: listParticipants(session)
+    });
+  });
+
+  events.on('participantRemoved', ({ session, studentId, reason }) => {
+    send(rooms.session(session.code), 'participantRemoved', {
+      studentId,
+      reason,
+      participants: listParticipants(session)
+    });
+  });
+
+  events.on('participantKicked', ({ session, studentId, reason, ban }) => {
+    send(rooms.student(session.code, studentId), 'kickedOut', { reason, expiresAt: ban.expiresAt });
+    send(rooms.session(session.code), 'participantRemoved', {
+      studentId,
+      reason,
+      participants: listParticipants(session)
+    });
+    send(rooms.teachers(session.code), 'banListUpdated', { bans: listBans(session) });
+  });
+
+  events.on('participantReinstated', ({ session, studentId }) => {
+    send(rooms.teachers(session.code), 'participantReinstated', { studentId });
+    send(rooms.teachers(session.code), 'banListUpdated', { bans: listBans(session) });
+  });
+
+  events.on('messageSent', ({ session, message }) => {
+    send(rooms.session(session.code), 'newMessage', message);
+  });
+
+  // Moderation: clients drop deleted messages from their chatMessages, and
+  // show or clear a muted student's state
+  events.on('messageDeleted', ({ session, messageId }) => {
+    send(rooms.session(session.code), 'messageDeleted', { messageId });
+  });
+
+  events.on('studentMuted', ({ session, studentId, mute }) => {
+    send(rooms.session(session.code), 'studentMuted', { studentId, ...mute });
+  });
+
+  events.on('studentUnmuted', ({ session, studentId }) => {
+    send(rooms.session(session.code), 'studentUnmuted', { studentId });
+  });
+
+  // Students get the settings without the word filter itself
+  events.on('chatSettingsUpdated', ({ session }) => {
+    send(rooms.teachers(session.code), 'chatSettingsUpdated', { chat: getChatSettings(session) });
+    send(rooms.participants(session.code), 'chatSettingsUpdated', { chat: getPublicChatSettings(session) });
+  });
+
+  // Staff: every host sees who is on the staff; invitations are never broadcast
+  events.on('staffUpdated', ({ session }) => {
+    send(rooms.teachers(session.code), 'staffUpdated', { staff: listStaff(session) });
+  });
+
+  events.on('staffRoleChanged', ({ session, member }) => {
+    send(rooms.staff(session.code, member.id), 'staffRoleChanged', {
+      role: member.role,
+      permissions: getPermissions(member.role)
+    });
+    send(rooms.teachers(session.code), 'staffUpdated', { staff: listStaff(session) });
+  });
+
+  // A removed host is sent `removedFromStaff`, then disconnected by the transport
+  events.on('staffRemoved', ({ session, staffId }) => {
+    send(rooms.staff(session.code, staffId), 'removedFromStaff', { sessionCode: session.code });
+    send(rooms.teachers(session.code), 'staffUpdated', { staff: listStaff(session) });
+  });
+}
+
+module.exports = {
+  rooms,
+  roomsFor,
+  attachBroadcasts
+};
@@ -0,0 +1,148 @@
+// Chat moderation for a session: message length limits, slow mode, a word
+// filter, locking chat while a poll runs, and muted students. Settings live
+// on the session next to the scoring settings; teachers are never limited.
+
+const DEFAULT_CHAT_SETTINGS = {
+  maxLength: 500,
+  slowModeSeconds: 0, // minimum gap between a student's messages; 0 is off
+  lockDuringPoll: false,
+  wordFilter: [] // words replaced with asterisks in students' messages
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_SLOW_MODE_SECONDS = 600;
+const MAX_FILTER_WORDS = 200;
+const MAX_MUTE_SECONDS = 24 * 60 * 60;
+
+function getChatSettings(session) {
+  return { ...DEFAULT_CHAT_SETTINGS, ...(session.chat || {}) };
+}
+
+// Settings safe to send to students: the word filter itself stays with teachers
+function getPublicChatSettings(session) {
+  const { wordFilter, ...settings } = getChatSettings(session);
+  return settings;
+}
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Validate a chat settings update. Returns the merged settings or { error }.
+function configureChat(current, updates = {}) {
+  const settings = { ...current };
+
+  if (updates.maxLength !== undefined) {
+    if (!isWholeNumber(updates.maxLength, 1, MAX_MESSAGE_LENGTH)) {
+      return { error: `Maximum message length must be a whole number from 1 to ${MAX_MESSAGE_LENGTH}` };
+    }
+    settings.maxLength = updates.maxLength;
+  }
+
+  if (updates.slowModeSeconds !== undefined) {
+    if (!isWholeNumber(updates.slowModeSeconds, 0, MAX_SLOW_MODE_SECONDS)) {
+      return { error: `Slow mode must be a whole number of seconds from 0 to ${MAX_SLOW_MODE_SECONDS}` };
+    }
+    settings.slowModeSeconds = updates.slowModeSeconds;
+  }
+
+  if (updates.lockDuringPoll !== undefined) {
+    settings.lockDuringPoll = Boolean(updates.lockDuringPoll);
+  }
+
+  if (updates.wordFilter !== undefined) {
+    if (!Array.isArray(updates.wordFilter) || updates.wordFilter.some(word => typeof word !== 'string')) {
+      return { error: 'Word filter must be a list of words' };
+    }
+
+    const words = Array.from(new Set(updates.wordFilter
+      .map(word => word.trim().toLowerCase())
+      .filter(word => word.length > 0)));
+
+    if (words.length > MAX_FILTER_WORDS) {
+      return { error: `Word filter can have at most ${MAX_FILTER_WORDS} words` };
+    }
+    settings.wordFilter = words;
+  }
+
+  return settings;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace filtered words (whole words, any case) with asterisks
+function applyWordFilter(text, words) {
+  if (words.length === 0) return text;
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+  return text.replace(pattern, (match, before, word) => before + '*'.repeat(word.length));
+}
+
+// The mute on a student, or null if they are not (or no longer) muted
+function getMute(session, studentId, now = Date.now()) {
+  const mute = (session.mutedStudents || {})[studentId];
+  if (!mute) return null;
+  if (mute.until && new Date(mute.until).getTime() <= now) return null;
+  return mute;
+}
+
+// Validate a mute length in seconds; null or undefined mutes until lifted.
+// Returns { until } or { error }.
+function getMuteUntil(duration) {
+  if (duration === undefined || duration === null) return { until: null };
+
+  const seconds = Number(duration);
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_MUTE_SECONDS) {
+    return { error: `Mute duration must be a whole number of seconds from 1 to ${MAX_MUTE_SECONDS}` };
+  }
+
+  return { until: new Date(Date.now() + seconds * 1000).toISOString() };
+}
+
+// Check a student's message against the session's chat rules. Returns
+// { text } with the cleaned-up message, or { status, error }.
+function moderateMessage(session, studentId, text, { pollActive = false, now = Date.now() } = {}) {
+  const settings = getChatSettings(session);
+
+  if (text.length > settings.maxLength) {
+    return { status: 400, error: `Messages can be at most ${settings.maxLength} characters` };
+  }
+
+  const mute = getMute(session, studentId, now);
+  if (mute) {
+    return {
+      status: 403,
+      error: mute.until ? `You are muted until ${mute.until}` : 'You are muted in this session'
+    };
+  }
+
+  if (settings.lockDuringPoll && pollActive) {
+    return { status: 423, error: 'Chat is locked while a poll is running' };
+  }
+
+  if (settings.slowModeSeconds > 0) {
+    const lastSentAt = (session.chatLastSentAt || {})[studentId];
+    const wait = lastSentAt
+      ? settings.slowModeSeconds - Math.floor((now - new Date(lastSentAt).getTime()) / 1000)
+      : 0;
+
+    if (wait > 0) {
+      return { status: 429, error: `Slow mode is on. You can send another message in ${wait}s` };
+    }
+  }
+
+  return { text: applyWordFilter(text, settings.wordFilter) };
+}
+
+module.exports = {
+  DEFAULT_CHAT_SETTINGS,
+  getChatSettings,
+  getPublicChatSettings,
+  configureChat,
+  applyWordFilter,
+  getMute,
+  getMuteUntil,
+  moderateMessage
+};
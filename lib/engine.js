@@ -0,0 +1,1923 @@
+// Core poll engine shared by the Socket.io server (server.js) and the
+// serverless handler (api/index.js). It owns poll lifecycle, quizzes,
+// scoring, participants and chat, reads and writes through the configured
+// store, and reports what happened as domain events on `events`. The
+// transports decide how those reach clients; see lib/broadcasts.js.
+//
+// Every operation that can be refused returns { status, error }, with the
+// HTTP status that fits, so REST routes and socket handlers report the
+// same errors.
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./storage');
+const { withLock } = require('./locks');
+const pollTimers = require('./pollTimers');
+const { pubsub } = require('./pubsub');
+const { createElection } = require('./pubsub/election');
+const {
+  isGraded,
+  configureQuestion,
+  CONFIDENCE_LEVELS,
+  evaluateAnswer,
+  recordAnswer,
+  unrecordAnswer,
+  initResults,
+  summarizePoll
+} = require('./questionTypes');
+const { configureQuiz, buildQuizSummary } = require('./quiz');
+const { buildPollAnalytics, buildSessionAnalytics } = require('./analytics');
+const {
+  getScoringSettings,
+  configureScoring,
+  applyPollScores
+} = require('./scoring');
+const {
+  getRevealPolicy,
+  configureRevealPolicy,
+  isAnswerRevealed,
+  getTimeLeft
+} = require('./serializers');
+const {
+  getChatSettings,
+  configureChat,
+  getMuteUntil,
+  moderateMessage
+} = require('./chat');
+const sessions = require('./sessions');
+const {
+  STAFF_ROLES,
+  can,
+  checkStaff,
+  checkPermission,
+  checkRecordPermission,
+  getStaffName,
+  listStaff
+} = require('./permissions');
+
+const { getSession, listParticipants, getBan, isKickedOut, listBans } = sessions;
+
+// Domain events:
+//   sessionClosed        { session }
+//   pollCreated          { poll, session }
+//   pollScheduled        { poll }  (created with, or moved to, a future scheduledAt)
+//   pollScheduleCancelled { poll }
+//   pollStarted          { poll, session }
+//   responseSubmitted    { poll, response, previous }  (previous: the answer it replaced, or null)
+//   timerChanged         { poll }
+//   pollEnded            { poll, session }  (poll.analytics is set by then)
+//   answerRevealed       { poll }
+//   revealPolicyUpdated  { poll }
+//   leaderboardChanged   { session }
+//   quizQuestionStarted  { quiz, poll }
+//   quizQuestionEnded    { quiz }
+//   quizEnded            { quiz }
+//   participantJoined    { session, participant, resumed }
+//   participantDisconnected { session, studentId, reconnectWithin }
+//   participantRemoved   { session, studentId, reason }
+//   participantKicked    { session, studentId, reason, ban }
+//   participantReinstated { session, studentId }
+//   messageSent          { session, message }
+//   messageDeleted       { session, messageId, deletedBy }
+//   studentMuted         { session, studentId, mute }
+//   studentUnmuted       { session, studentId }
+//   chatSettingsUpdated  { session }
+//   staffUpdated         { session }
+//   staffRoleChanged     { session, member }
+//   staffRemoved         { session, staffId }
+const events = new EventEmitter();
+
+// How long a disconnected student stays in the participant list, so a brief
+// network drop does not remove them mid-poll
+const RECONNECT_GRACE_SECONDS = Number(process.env.RECONNECT_GRACE_SECONDS ?? 30);
+
+const MAX_CHAT_MESSAGES = 100;
+
+// Longest timed ban a teacher can give (a week); bans without a duration last until lifted
+const MAX_BAN_SECONDS = 7 * 24 * 60 * 60;
+
+// How far ahead polls can be scheduled (30 days), and how many can wait in one session
+const MAX_SCHEDULE_SECONDS = 30 * 24 * 60 * 60;
+const MAX_SCHEDULED_POLLS = 50;
+
+// Operations that change a session, its polls or its quizzes hold the
+// session's lock while they run (see lib/locks.js), so concurrent answers,
+// joins or a poll ending twice cannot overwrite each other's changes.
+// `sessionOf` finds the session code from the operation's arguments.
+function lockedBySession(sessionOf, operation) {
+  return async (...args) => {
+    const code = sessions.normalizeCode(await sessionOf(...args));
+    return code ? withLock(`session:${code}`, () => operation(...args)) : operation(...args);
+  };
+}
+
+async function sessionOfPoll(pollId) {
+  return (await store.getPoll(pollId))?.sessionCode;
+}
+
+async function sessionOfQuiz(quizId) {
+  return (await store.getQuiz(quizId))?.sessionCode;
+}
+
+async function getCurrentPoll(session) {
+  return session.currentPollId ? store.getPoll(session.currentPollId) : null;
+}
+
+// Sessions
+
+// Close a session, ending its running poll and quizzes first. The poll ends
+// without handing over to its quiz, which is completed here instead of
+// moving on or starting a scheduled poll in the closing session.
+const closeSession = lockedBySession(code => code, async function closeSession(code, teacherId) {
+  const session = await getSession(code);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'session.manage');
+  if (denied) return denied;
+
+  const currentPoll = await getCurrentPoll(session);
+  if (currentPoll && currentPoll.isActive) {
+    await endPoll(currentPoll.id, { notifyQuiz: false });
+  }
+
+  const quizzes = await store.listQuizzes({ sessionCode: session.code });
+  for (const quiz of quizzes.filter(quiz => quiz.status === 'running')) {
+    await completeQuiz(quiz);
+  }
+
+  await sessions.closeSession(session.code);
+
+  events.emit('sessionClosed', { session });
+  return { session };
+});
+
+const updateScoring = lockedBySession(code => code, async function updateScoring(code, teacherId, updates) {
+  const session = await getSession(code);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'scoring.manage');
+  if (denied) return denied;
+
+  const scoring = configureScoring(getScoringSettings(session), updates);
+  if (scoring.error) {
+    return { status: 400, error: scoring.error };
+  }
+
+  session.scoring = scoring;
+  await store.saveSession(session);
+
+  return { scoring };
+});
+
+// Polls
+
+// Who a new poll or quiz in the session belongs to, and who created it
+function getPollOwnership(session, teacherId) {
+  return {
+    teacherId: session.teacherId,
+    teacherName: session.teacherName,
+    sessionCode: session.code,
+    createdBy: { id: teacherId, name: getStaffName(session, teacherId) }
+  };
+}
+
+// Build a new, not yet started poll from a create request body.
+// Returns { poll } or { error }.
+function buildPoll(body, { teacherId, teacherName, sessionCode, createdBy }) {
+  const { question, type = 'single', duration = 60 } = body;
+
+  // Validation
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    return { error: 'Question is required' };
+  }
+
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds)) {
+    return { error: 'Duration must be a number of seconds' };
+  }
+  const clampedDuration = Math.min(Math.max(seconds, 10), 300); // Between 10-300 seconds
+
+  // Options, correct answers and other type-specific settings
+  const questionConfig = configureQuestion(type, body);
+  if (questionConfig.error) {
+    return { error: questionConfig.error };
+  }
+
+  // What students may see of the results and answer
+  const reveal = configureRevealPolicy({}, body.reveal);
+  if (reveal.error) {
+    return { error: reveal.error };
+  }
+
+  return {
+    poll: {
+      id: uuidv4(),
+      question: question.trim(),
+      type,
+      ...questionConfig,
+      duration: clampedDuration,
+      reveal,
+      allowAnswerChange: body.allowAnswerChange === true || body.allowAnswerChange === 'true',
+      scheduledAt: null,
+      answerRevealed: false,
+      isActive: false,
+      responses: {},
+      results: {},
+      startTime: null,
+      endTime: null,
+      timeLeft: clampedDuration,
+      teacherId,
+      teacherName,
+      sessionCode,
+      createdBy,
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+// Create a poll in the teacher's session, ready to start. Polls belong to
+// the session owner whichever host creates them; `createdBy` records who did.
+// With a `scheduledAt` the poll starts itself at that time instead of
+// becoming the session's current poll, so it can be created while another
+// poll runs.
+const createPoll = lockedBySession(user => user.sessionCode, async function createPoll({ id: teacherId, sessionCode }, body) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'polls.manage');
+  if (denied) return denied;
+
+  const scheduled = body.scheduledAt !== undefined && body.scheduledAt !== null;
+
+  // Check if there's already an active poll in this session
+  const currentPoll = await getCurrentPoll(session);
+  if (!scheduled && currentPoll && currentPoll.isActive) {
+    return { status: 409, error: 'There is already an active poll. Please end it before creating a new one.' };
+  }
+
+  const { poll, error } = buildPoll(body, getPollOwnership(session, teacherId));
+  if (error) {
+    return { status: 400, error };
+  }
+
+  if (scheduled) {
+    const { status, error: scheduleError } = await scheduleInSession(poll, body.scheduledAt);
+    if (scheduleError) return { status, error: scheduleError };
+  } else {
+    session.currentPollId = poll.id;
+    await store.saveSession(session);
+  }
+
+  await store.savePoll(poll);
+
+  events.emit('pollCreated', { poll, session });
+
+  if (scheduled) {
+    syncPollTimer(poll);
+    events.emit('pollScheduled', { poll });
+  }
+
+  return { poll };
+});
+
+// The students connected to a session right now, as a poll roster
+function getRoster(session) {
+  return listParticipants(session)
+    .filter(participant => !participant.disconnectedAt)
+    .map(participant => ({ studentId: participant.id, studentName: participant.name }));
+}
+
+// A poll's roster plus the students connected now, less any banned since
+function updateRoster(poll, session) {
+  const roster = new Map((poll.roster || []).map(student => [student.studentId, student]));
+  getRoster(session).forEach(student => roster.set(student.studentId, student));
+
+  return Array.from(roster.values()).filter(student => !isKickedOut(session, student.studentId));
+}
+
+// Start a poll in its session: reset its responses, announce it and schedule its end
+async function launchPoll(poll, session) {
+  poll.isActive = true;
+  poll.isPaused = false;
+  poll.answerRevealed = false;
+  poll.startTime = new Date().toISOString();
+  poll.endTime = new Date(Date.now() + poll.duration * 1000).toISOString();
+  poll.timeLeft = poll.duration;
+  poll.responses = {};
+  poll.roster = getRoster(session); // who the poll is put to, for analytics
+  poll.analytics = null;
+  poll.scheduledAt = null; // started now, whether or not it was scheduled
+
+  // Initialize results for the question type
+  poll.results = initResults(poll);
+
+  session.currentPollId = poll.id;
+
+  // Clear previous chat messages for new poll
+  session.chatMessages = [];
+
+  await store.savePoll(poll);
+  await store.saveSession(session);
+
+  events.emit('pollStarted', { poll, session });
+
+  // End the poll at its deadline
+  syncPollTimer(poll);
+
+  return poll;
+}
+
+// Start a stand-alone poll (quiz questions are started by the quiz)
+const startPoll = lockedBySession(sessionOfPoll, async function startPoll(pollId, teacherId) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const denied = await checkRecordPermission(poll, teacherId, 'polls.manage');
+  if (denied) return denied;
+
+  if (poll.isActive) {
+    return { status: 409, error: 'Poll is already active' };
+  }
+
+  if (poll.quizId) {
+    return { status: 409, error: 'Quiz questions are started with the quiz controls' };
+  }
+
+  const session = await getSession(poll.sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const currentPoll = await getCurrentPoll(session);
+  if (currentPoll && currentPoll.isActive) {
+    return { status: 409, error: 'There is already an active poll in this session' };
+  }
+
+  return { poll: await launchPoll(poll, session) };
+});
+
+// Poll deadlines are kept by one instance, the timer owner, elected through
+// pub/sub so that instances sharing state never end the same poll twice.
+// Other instances announce timer changes on POLL_TIMER_CHANNEL for the owner
+// to pick up. Quiz auto-advance and the removal of disconnected students
+// work the same way: their deadlines are stored with the quiz or the
+// participant, and the owner keeps the timers.
+const POLL_TIMER_CHANNEL = 'poll-timers';
+
+// Other jobs only one instance should run (webhook retries), added with
+// addTimerOwnerJob(): started when this instance becomes the timer owner and
+// stopped when it stops being it
+const ownerJobs = [];
+
+const timerOwner = createElection(pubsub, 'poll-timers', {
+  onElected() {
+    restorePollTimers().then(count => {
+      if (count > 0) console.log(`⏱️  Restored ${count} running or scheduled poll(s)`);
+    }).catch(error => {
+      console.error('Error restoring poll timers:', error);
+    });
+    ownerJobs.forEach(job => job.start());
+  },
+  onDeposed() {
+    pollTimers.cancelAll();
+    ownerJobs.forEach(job => job.stop());
+  }
+});
+
+// Run `start` whenever this instance becomes the timer owner (straight away
+// if it is one already) and `stop` when it stops being it
+function addTimerOwnerJob({ start, stop }) {
+  ownerJobs.push({ start, stop });
+  if (timerOwner.isLeader()) start();
+}
+
+let timerOwnership = null;
+
+// Take part in electing the timer owner. Until this runs, the instance never
+// owns poll timers.
+function startTimerOwnership() {
+  if (!timerOwnership) {
+    timerOwnership = pubsub.subscribe(POLL_TIMER_CHANNEL, message => {
+      if (!timerOwner.isLeader()) return;
+
+      syncStoredTimer(message).catch(error => {
+        console.error('Error updating poll timer:', error);
+      });
+    }).then(() => timerOwner.start());
+  }
+
+  return timerOwnership;
+}
+
+// A timer change announced by another instance: { pollId }, { quizId } or
+// { sessionCode, studentId }
+async function syncStoredTimer({ pollId, quizId, sessionCode, studentId }) {
+  if (pollId) {
+    const poll = await store.getPoll(pollId);
+    if (poll) syncPollTimer(poll);
+  }
+
+  if (quizId) {
+    const quiz = await store.getQuiz(quizId);
+    if (quiz) syncQuizTimer(quiz);
+  }
+
+  if (studentId) {
+    const session = await getSession(sessionCode);
+    syncRemovalTimer(sessionCode, studentId, session?.participants[studentId]);
+  }
+}
+
+function announceTimer(message) {
+  pubsub.publish(POLL_TIMER_CHANNEL, message).catch(error => {
+    console.error('Error announcing poll timer:', error);
+  });
+}
+
+// Match a poll's timers to its stored state: end it at endTime while it
+// runs, start it at scheduledAt while it is scheduled, no timer otherwise.
+// Clients count down locally from endTime (or scheduledAt), so nothing is
+// announced until the time changes.
+function syncPollTimer(poll) {
+  if (!timerOwner.isLeader()) {
+    announceTimer({ pollId: poll.id });
+    return;
+  }
+
+  if (poll.isActive && !poll.isPaused && poll.endTime) {
+    pollTimers.scheduleEnd(poll.id, poll.endTime, () => {
+      endPollAtDeadline(poll.id).catch(error => {
+        console.error('Error ending poll:', error);
+      });
+    });
+  } else {
+    pollTimers.cancelTimer(poll.id);
+  }
+
+  if (isScheduled(poll)) {
+    pollTimers.scheduleStart(poll.id, poll.scheduledAt, () => {
+      startPollAtScheduledTime(poll.id).catch(error => {
+        console.error('Error starting scheduled poll:', error);
+      });
+    });
+  } else {
+    pollTimers.cancelStart(poll.id);
+  }
+}
+
+// A poll's deadline passed, by its timer or as seen by endExpiredPolls().
+// Another instance or request may have paused, extended or ended the poll
+// since, so check the stored poll under the session's lock before ending it.
+// Returns the ended poll or null.
+const endPollAtDeadline = lockedBySession(sessionOfPoll, async function endPollAtDeadline(pollId) {
+  const poll = await store.getPoll(pollId);
+  if (!poll || !poll.isActive || poll.isPaused) return null;
+
+  if (new Date(poll.endTime).getTime() > Date.now()) {
+    syncPollTimer(poll);
+    return null;
+  }
+
+  return endPoll(poll.id);
+});
+
+// End poll function. A poll ends once: with the session's lock held, a second
+// call finds it no longer active and returns null without scoring it again.
+// Quiz questions hand over to the quiz afterwards unless `notifyQuiz` is false
+const endPoll = lockedBySession(sessionOfPoll, async function endPoll(pollId, { notifyQuiz = true } = {}) {
+  pollTimers.cancelTimer(pollId);
+
+  const poll = await store.getPoll(pollId);
+  if (!poll || !poll.isActive) return null;
+
+  poll.isActive = false;
+  poll.isPaused = false;
+  poll.endTime = new Date().toISOString();
+  poll.timeLeft = 0;
+
+  // Calculate final results and summary for the question type
+  const { finalResults, summary } = summarizePoll(poll);
+
+  poll.finalResults = finalResults;
+  poll.summary = summary;
+
+  // Show students the answer now unless the teacher reveals it later
+  if (getRevealPolicy(poll).answer === 'end') {
+    poll.answerRevealed = true;
+  }
+
+  const session = await getSession(poll.sessionCode);
+
+  // Participation and timing, kept with the poll and its history entry
+  if (session) {
+    poll.roster = updateRoster(poll, session);
+  }
+  poll.analytics = buildPollAnalytics(poll);
+
+  // Award points and update the session's running totals
+  if (session) {
+    applyPollScores(session, poll);
+    await store.saveSession(session);
+  }
+
+  await store.savePoll(poll);
+
+  // Add to history
+  await store.addHistory({
+    ...poll,
+    participants: session ? listParticipants(session) : []
+  });
+
+  console.log('Poll ended. Broadcasting results:', {
+    finalResults,
+    summary: poll.summary,
+    totalResponses: summary.totalResponses
+  });
+
+  events.emit('pollEnded', { poll, session });
+
+  if (session) {
+    events.emit('leaderboardChanged', { session });
+  }
+
+  if (poll.quizId && notifyQuiz) {
+    await onQuizPollEnded(poll);
+  }
+
+  // A scheduled poll that came due while this one ran starts now
+  if (session) {
+    await startDueScheduledPoll(session.code);
+  }
+
+  return poll;
+});
+
+// Pick up polls that were running or scheduled when the server last stopped
+// (or when this instance became the timer owner): end the ones whose deadline
+// passed in the meantime and reschedule the rest. Paused polls stay paused.
+// Scheduled polls whose time passed while the server was down start now.
+// Quiz auto-advance and disconnected-student removals are picked up as well.
+async function restorePollTimers() {
+  const activePolls = await store.listPolls({ isActive: true });
+
+  for (const poll of activePolls) {
+    if (poll.isPaused) continue;
+
+    if (!poll.endTime || new Date(poll.endTime).getTime() <= Date.now()) {
+      await endPollAtDeadline(poll.id);
+    } else {
+      syncPollTimer(poll);
+    }
+  }
+
+  const scheduledPolls = (await store.listScheduledPolls()).filter(isScheduled);
+  scheduledPolls.forEach(syncPollTimer);
+
+  // Quizzes waiting to move on, and students waiting out their grace window
+  (await store.listQuizzes())
+    .filter(quiz => quiz.status === 'running' && quiz.advanceAt)
+    .forEach(syncQuizTimer);
+
+  (await store.listSessions()).forEach(session => {
+    Object.values(session.participants)
+      .filter(participant => participant.disconnectedAt)
+      .forEach(participant => syncRemovalTimer(session.code, participant.id, participant));
+  });
+
+  return activePolls.length + scheduledPolls.length;
+}
+
+// End any running poll whose deadline has passed. For deployments without
+// long-lived timers (serverless), where this runs on each request instead.
+async function endExpiredPolls() {
+  const activePolls = await store.listPolls({ isActive: true });
+  const expired = activePolls.filter(poll =>
+    !poll.isPaused && poll.endTime && new Date(poll.endTime).getTime() <= Date.now());
+
+  let ended = 0;
+  for (const poll of expired) {
+    if (await endPollAtDeadline(poll.id)) ended++;
+  }
+
+  return ended;
+}
+
+// Scheduled polls
+
+// A poll waiting for its scheduledAt to start itself
+function isScheduled(poll) {
+  return Boolean(poll.scheduledAt) && !poll.isActive && !poll.quizId;
+}
+
+// Check a start time: an ISO 8601 date in the future, at most
+// MAX_SCHEDULE_SECONDS ahead. Returns { scheduledAt } or { error }.
+function configureSchedule(scheduledAt) {
+  const time = typeof scheduledAt === 'string' ? new Date(scheduledAt).getTime() : NaN;
+
+  if (!Number.isFinite(time)) {
+    return { error: 'Scheduled time must be an ISO 8601 date' };
+  }
+  if (time <= Date.now()) {
+    return { error: 'Scheduled time must be in the future' };
+  }
+  if (time > Date.now() + MAX_SCHEDULE_SECONDS * 1000) {
+    return { error: `Polls can be scheduled at most ${MAX_SCHEDULE_SECONDS / (24 * 60 * 60)} days ahead` };
+  }
+
+  return { scheduledAt: new Date(time).toISOString() };
+}
+
+// A session's scheduled polls, soonest first
+async function getScheduledPolls(sessionCode) {
+  return (await store.listScheduledPolls({ sessionCode })).filter(isScheduled);
+}
+
+// Set a poll's start time, within the session's limit on waiting polls.
+// The caller saves the poll. Returns {} or { status, error }.
+async function scheduleInSession(poll, scheduledAt) {
+  const schedule = configureSchedule(scheduledAt);
+  if (schedule.error) {
+    return { status: 400, error: schedule.error };
+  }
+
+  const waiting = (await getScheduledPolls(poll.sessionCode)).filter(scheduledPoll => scheduledPoll.id !== poll.id);
+  if (waiting.length >= MAX_SCHEDULED_POLLS) {
+    return { status: 409, error: `A session can have at most ${MAX_SCHEDULED_POLLS} scheduled polls` };
+  }
+
+  poll.scheduledAt = schedule.scheduledAt;
+  return {};
+}
+
+// Whether a scheduled poll has to wait: another poll is running, or a quiz
+// is between questions
+async function isSessionBusy(session) {
+  const currentPoll = await getCurrentPoll(session);
+  if (currentPoll && currentPoll.isActive) return true;
+
+  const quizzes = await store.listQuizzes({ sessionCode: session.code });
+  return quizzes.some(quiz => quiz.status === 'running');
+}
+
+// Start the session's earliest scheduled poll whose time has come, unless
+// the session is busy; it is then started when the running poll or quiz
+// ends. Schedules in a session that has closed are dropped.
+// Returns the started poll or null.
+const startDueScheduledPoll = lockedBySession(code => code, async function startDueScheduledPoll(sessionCode) {
+  const due = (await getScheduledPolls(sessionCode))
+    .filter(poll => new Date(poll.scheduledAt).getTime() <= Date.now());
+
+  if (due.length === 0) return null;
+
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    for (const poll of due) {
+      poll.scheduledAt = null;
+      await store.savePoll(poll);
+      events.emit('pollScheduleCancelled', { poll });
+    }
+    return null;
+  }
+
+  if (await isSessionBusy(session)) return null;
+
+  return launchPoll(due[0], session);
+});
+
+// A scheduled poll's start timer fired. The poll may have been started,
+// rescheduled or cancelled since, so check the stored poll first.
+async function startPollAtScheduledTime(pollId) {
+  const poll = await store.getPoll(pollId);
+  if (!poll || !isScheduled(poll)) return;
+
+  if (new Date(poll.scheduledAt).getTime() > Date.now()) {
+    syncPollTimer(poll);
+    return;
+  }
+
+  await startDueScheduledPoll(poll.sessionCode);
+}
+
+// Start every scheduled poll whose time has come. For deployments without
+// long-lived timers (serverless), alongside endExpiredPolls().
+async function startDueScheduledPolls() {
+  const due = (await store.listScheduledPolls({ dueBy: new Date() })).filter(isScheduled);
+  const sessionCodes = [...new Set(due.map(poll => poll.sessionCode))];
+
+  let started = 0;
+  for (const sessionCode of sessionCodes) {
+    if (await startDueScheduledPoll(sessionCode)) started++;
+  }
+
+  return started;
+}
+
+// The scheduled polls of a session (hosts who can view results).
+// Returns { polls } or { status, error }.
+async function listScheduledPolls(teacherId, sessionCode) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'results.view');
+  if (denied) return denied;
+
+  return { polls: await getScheduledPolls(session.code) };
+}
+
+// Teacher controls for scheduling a poll that is not running. Each returns
+// { poll } or { status, error }.
+const scheduleControls = {
+  // Schedule a prepared poll, or move a scheduled one to `scheduledAt`
+  reschedule: lockedBySession(sessionOfPoll, async function reschedule(pollId, teacherId, scheduledAt) {
+    const poll = await store.getPoll(pollId);
+
+    if (!poll) {
+      return { status: 404, error: 'Poll not found' };
+    }
+
+    const denied = await checkRecordPermission(poll, teacherId, 'polls.manage');
+    if (denied) return denied;
+
+    if (poll.isActive) {
+      return { status: 409, error: 'Poll is already active' };
+    }
+
+    if (poll.quizId) {
+      return { status: 409, error: 'Quiz questions are started with the quiz controls' };
+    }
+
+    const { status, error } = await scheduleInSession(poll, scheduledAt);
+    if (error) return { status, error };
+
+    await store.savePoll(poll);
+    syncPollTimer(poll);
+
+    events.emit('pollScheduled', { poll });
+
+    return { poll };
+  }),
+
+  // Stop a scheduled poll from starting itself; it stays prepared and can be
+  // started by hand or scheduled again
+  cancel: lockedBySession(sessionOfPoll, async function cancel(pollId, teacherId) {
+    const poll = await store.getPoll(pollId);
+
+    if (!poll) {
+      return { status: 404, error: 'Poll not found' };
+    }
+
+    const denied = await checkRecordPermission(poll, teacherId, 'polls.manage');
+    if (denied) return denied;
+
+    if (!isScheduled(poll)) {
+      return { status: 409, error: 'Poll is not scheduled' };
+    }
+
+    poll.scheduledAt = null;
+    await store.savePoll(poll);
+    syncPollTimer(poll);
+
+    events.emit('pollScheduleCancelled', { poll });
+
+    return { poll };
+  })
+};
+
+// Load a poll for one of the teacher controls below, checking the teacher
+// may run polls in its session and that it is still running.
+// Returns { poll } or { status, error }.
+async function getControllablePoll(pollId, teacherId) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const denied = await checkRecordPermission(poll, teacherId, 'polls.manage');
+  if (denied) return denied;
+
+  if (!poll.isActive) {
+    return { status: 409, error: 'Poll is not currently active' };
+  }
+
+  return { poll };
+}
+
+// Teacher controls for a running poll. Each returns { poll } or { status, error }.
+const pollControls = {
+  end: lockedBySession(sessionOfPoll, async function end(pollId, teacherId) {
+    const { poll, status, error } = await getControllablePoll(pollId, teacherId);
+    if (error) return { status, error };
+
+    return { poll: await endPoll(poll.id) };
+  }),
+
+  pause: lockedBySession(sessionOfPoll, async function pause(pollId, teacherId) {
+    const { poll, status, error } = await getControllablePoll(pollId, teacherId);
+    if (error) return { status, error };
+
+    if (poll.isPaused) {
+      return { status: 409, error: 'Poll is already paused' };
+    }
+
+    poll.timeLeft = getTimeLeft(poll);
+    poll.isPaused = true;
+    poll.endTime = null;
+
+    await store.savePoll(poll);
+    syncPollTimer(poll);
+    events.emit('timerChanged', { poll });
+    return { poll };
+  }),
+
+  resume: lockedBySession(sessionOfPoll, async function resume(pollId, teacherId) {
+    const { poll, status, error } = await getControllablePoll(pollId, teacherId);
+    if (error) return { status, error };
+
+    if (!poll.isPaused) {
+      return { status: 409, error: 'Poll is not paused' };
+    }
+
+    poll.isPaused = false;
+    poll.endTime = new Date(Date.now() + poll.timeLeft * 1000).toISOString();
+
+    await store.savePoll(poll);
+    syncPollTimer(poll);
+    events.emit('timerChanged', { poll });
+    return { poll };
+  }),
+
+  extend: lockedBySession(sessionOfPoll, async function extend(pollId, teacherId, seconds = 30) {
+    const extraSeconds = Number(seconds);
+
+    if (!Number.isInteger(extraSeconds) || extraSeconds < 1 || extraSeconds > 300) {
+      return { status: 400, error: 'Seconds must be a whole number between 1 and 300' };
+    }
+
+    const { poll, status, error } = await getControllablePoll(pollId, teacherId);
+    if (error) return { status, error };
+
+    if (poll.isPaused) {
+      poll.timeLeft += extraSeconds;
+    } else {
+      poll.endTime = new Date(new Date(poll.endTime).getTime() + extraSeconds * 1000).toISOString();
+      poll.timeLeft = getTimeLeft(poll);
+    }
+
+    await store.savePoll(poll);
+    if (!poll.isPaused) {
+      syncPollTimer(poll);
+    }
+    events.emit('timerChanged', { poll });
+    return { poll };
+  })
+};
+
+// Load a poll for the reveal controls below, checking the teacher may run
+// polls in its session.
+// Returns { poll } or { status, error }.
+async function getOwnedPoll(pollId, teacherId) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const denied = await checkRecordPermission(poll, teacherId, 'polls.manage');
+  if (denied) return denied;
+
+  return { poll };
+}
+
+// Show students the correct answer of a graded poll.
+// Returns { poll } or { status, error }.
+const revealAnswer = lockedBySession(sessionOfPoll, async function revealAnswer(pollId, teacherId) {
+  const { poll, status, error } = await getOwnedPoll(pollId, teacherId);
+  if (error) return { status, error };
+
+  if (!isGraded(poll)) {
+    return { status: 400, error: 'This poll has no correct answer to reveal' };
+  }
+
+  if (isAnswerRevealed(poll)) {
+    return { status: 409, error: 'The answer has already been revealed' };
+  }
+
+  poll.answerRevealed = true;
+  await store.savePoll(poll);
+
+  events.emit('answerRevealed', { poll });
+  return { poll };
+});
+
+// Change what students may see of a poll. Returns { poll } or { status, error }.
+const updateRevealPolicy = lockedBySession(sessionOfPoll, async function updateRevealPolicy(pollId, teacherId, updates) {
+  const { poll, status, error } = await getOwnedPoll(pollId, teacherId);
+  if (error) return { status, error };
+
+  const reveal = configureRevealPolicy(getRevealPolicy(poll), updates);
+  if (reveal.error) {
+    return { status: 400, error: reveal.error };
+  }
+
+  poll.reveal = reveal;
+  await store.savePoll(poll);
+
+  events.emit('revealPolicyUpdated', { poll });
+  return { poll };
+});
+
+// Record a student's answer to a running poll, with an optional confidence
+// level. On polls with `allowAnswerChange`, a student may answer again while
+// the poll runs: the earlier answer is taken out of the results and kept in
+// the response's `history`.
+// Returns { poll, response, changed } or { status, error }.
+const submitResponse = lockedBySession((user, pollId) => sessionOfPoll(pollId), async function submitResponse({ id: studentId, name: studentName, sessionCode }, pollId, answer, { confidence } = {}) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const session = await getSession(poll.sessionCode);
+
+  // Check if student belongs to this session and is not kicked out
+  if (!session || session.code !== sessionCode || isKickedOut(session, studentId)) {
+    return { status: 403, error: 'You have been removed from this session' };
+  }
+
+  if (!poll.isActive) {
+    return { status: 400, error: 'Poll is not currently active' };
+  }
+
+  if (poll.isPaused) {
+    return { status: 409, error: 'Poll is paused' };
+  }
+
+  const { value: selectedOption, isCorrect, error } = evaluateAnswer(poll, answer);
+  if (error) {
+    return { status: 400, error };
+  }
+
+  if (confidence !== undefined && confidence !== null && !CONFIDENCE_LEVELS.includes(confidence)) {
+    return { status: 400, error: `Confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}` };
+  }
+
+  // Check if student already responded
+  const previous = poll.responses[studentId];
+  if (previous && !poll.allowAnswerChange) {
+    return { status: 409, error: 'You have already responded to this poll' };
+  }
+
+  if (previous) {
+    unrecordAnswer(poll, previous.selectedOption, studentId);
+  }
+
+  // Record response (ungraded polls keep no correctness at all)
+  const response = {
+    studentId,
+    studentName,
+    selectedOption,
+    timestamp: new Date().toISOString(),
+    ...(isCorrect !== null && { isCorrect }),
+    ...(confidence && { confidence })
+  };
+
+  if (previous) {
+    const { history = [], firstTimestamp, ...earlier } = previous;
+    response.firstTimestamp = firstTimestamp || previous.timestamp;
+    response.history = [...history, earlier];
+  }
+
+  poll.responses[studentId] = response;
+
+  // Update results
+  recordAnswer(poll, selectedOption, { studentId, studentName });
+
+  await store.savePoll(poll);
+
+  console.log(`Response ${previous ? 'changed' : 'recorded'}: ${studentName} selected ${selectedOption}. Current results:`, poll.results);
+
+  events.emit('responseSubmitted', { poll, response, previous: previous || null });
+
+  return { poll, response, changed: Boolean(previous) };
+});
+
+// Analytics
+
+// A poll's analytics (hosts who can view results): as saved when it ended,
+// or so far for a running poll. Returns { analytics } or { status, error }.
+async function getPollAnalytics(pollId, teacherId) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const denied = await checkRecordPermission(poll, teacherId, 'results.view');
+  if (denied) return denied;
+
+  if (!poll.startTime) {
+    return { status: 409, error: 'Poll has not started yet' };
+  }
+
+  if (poll.isActive) {
+    const session = await getSession(poll.sessionCode);
+    if (session) poll.roster = updateRoster(poll, session);
+    return { analytics: buildPollAnalytics(poll) };
+  }
+
+  return { analytics: poll.analytics || buildPollAnalytics(poll) };
+}
+
+// The ended polls of a session, for a host who can view its results. Once
+// the session has closed only its owner's history is left to them.
+// Returns { polls } or { status, error }.
+async function listSessionHistory(code, teacherId) {
+  const session = await getSession(code);
+
+  if (!session) {
+    const polls = await store.listHistory({ teacherId, sessionCode: code });
+    return polls.length > 0 ? { polls } : { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'results.view');
+  if (denied) return denied;
+
+  return { polls: await store.listHistory({ sessionCode: session.code }) };
+}
+
+// Trends over the ended polls of one of the teacher's sessions (the session
+// itself may have closed since). Returns { analytics } or { status, error }.
+async function getSessionAnalytics(code, teacherId) {
+  const { polls, status, error } = await listSessionHistory(code, teacherId);
+  if (error) return { status, error };
+
+  return { analytics: { sessionCode: code, ...buildSessionAnalytics(polls) } };
+}
+
+// Quizzes
+
+// Match a quiz's auto-advance timer to its stored `advanceAt`: set after a
+// question ends when the quiz moves on by itself, cleared when it moves on
+function syncQuizTimer(quiz) {
+  if (!timerOwner.isLeader()) {
+    announceTimer({ quizId: quiz.id });
+    return;
+  }
+
+  if (quiz.status === 'running' && quiz.advanceAt) {
+    pollTimers.scheduleTask(`quiz:${quiz.id}`, quiz.advanceAt, () => {
+      advanceQuizAtDeadline(quiz.id).catch(error => {
+        console.error('Error advancing quiz:', error);
+      });
+    });
+  } else {
+    pollTimers.cancelTask(`quiz:${quiz.id}`);
+  }
+}
+
+// A quiz's auto-advance timer fired. The teacher may have moved it on by
+// hand since, so check the stored quiz first.
+const advanceQuizAtDeadline = lockedBySession(sessionOfQuiz, async function advanceQuizAtDeadline(quizId) {
+  const quiz = await store.getQuiz(quizId);
+  if (!quiz || quiz.status !== 'running' || !quiz.advanceAt) return;
+
+  if (new Date(quiz.advanceAt).getTime() > Date.now()) {
+    syncQuizTimer(quiz);
+    return;
+  }
+
+  const { error } = await advanceQuiz(quiz.id);
+  if (error) console.error(`Could not auto-advance quiz ${quiz.id}:`, error);
+});
+
+async function getQuizPolls(quiz) {
+  const polls = await Promise.all(quiz.pollIds.map(pollId => store.getPoll(pollId)));
+  return polls.filter(Boolean);
+}
+
+// Create a quiz and its not yet started polls in the teacher's session.
+// Returns { quiz, polls } or { status, error }.
+const createQuiz = lockedBySession(user => user.sessionCode, async function createQuiz({ id: teacherId, sessionCode }, body) {
+  const settings = configureQuiz(body);
+  if (settings.error) {
+    return { status: 400, error: settings.error };
+  }
+
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'polls.manage');
+  if (denied) return denied;
+
+  const quizId = uuidv4();
+  const ownership = getPollOwnership(session, teacherId);
+  const polls = [];
+
+  for (const [index, question] of body.questions.entries()) {
+    const { poll, error } = buildPoll(question || {}, ownership);
+    if (error) {
+      return { status: 400, error: `Question ${index + 1}: ${error}` };
+    }
+
+    poll.quizId = quizId;
+    poll.quizIndex = index;
+    polls.push(poll);
+  }
+
+  const quiz = {
+    id: quizId,
+    ...settings,
+    pollIds: polls.map(poll => poll.id),
+    currentIndex: -1,
+    status: 'draft',
+    ...ownership,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    advanceAt: null,
+    summary: null
+  };
+
+  for (const poll of polls) {
+    await store.savePoll(poll);
+  }
+  await store.saveQuiz(quiz);
+
+  return { quiz, polls };
+});
+
+async function completeQuiz(quiz) {
+  quiz.status = 'completed';
+  quiz.advanceAt = null;
+  quiz.completedAt = new Date().toISOString();
+  quiz.summary = buildQuizSummary(quiz, await getQuizPolls(quiz));
+
+  await store.saveQuiz(quiz);
+  syncQuizTimer(quiz);
+
+  events.emit('quizEnded', { quiz });
+
+  return quiz;
+}
+
+// Move a quiz on to its next question, ending the current one first if it is
+// still running. Completes the quiz after its last question.
+// Returns { quiz } or { status, error }.
+const advanceQuiz = lockedBySession(sessionOfQuiz, async function advanceQuiz(quizId) {
+  const quiz = await store.getQuiz(quizId);
+  const currentPollId = quiz.pollIds[quiz.currentIndex];
+
+  if (currentPollId) {
+    const currentPoll = await store.getPoll(currentPollId);
+    if (currentPoll && currentPoll.isActive) {
+      await endPoll(currentPoll.id, { notifyQuiz: false });
+    }
+  }
+
+  const nextIndex = quiz.currentIndex + 1;
+  if (nextIndex >= quiz.pollIds.length) {
+    await completeQuiz(quiz);
+
+    // A scheduled poll that came due during the quiz starts now
+    await startDueScheduledPoll(quiz.sessionCode);
+    return { quiz };
+  }
+
+  const session = await getSession(quiz.sessionCode);
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const sessionPoll = await getCurrentPoll(session);
+  if (sessionPoll && sessionPoll.isActive) {
+    return { status: 409, error: 'There is already an active poll in this session' };
+  }
+
+  const poll = await store.getPoll(quiz.pollIds[nextIndex]);
+
+  quiz.status = 'running';
+  quiz.currentIndex = nextIndex;
+  quiz.startedAt = quiz.startedAt || new Date().toISOString();
+  quiz.advanceAt = null;
+  await store.saveQuiz(quiz);
+  syncQuizTimer(quiz);
+
+  await launchPoll(poll, session);
+
+  events.emit('quizQuestionStarted', { quiz, poll });
+
+  return { quiz };
+});
+
+// Called by endPoll when a quiz question ends on its own or is ended early
+async function onQuizPollEnded(poll) {
+  const quiz = await store.getQuiz(poll.quizId);
+  if (!quiz || quiz.status !== 'running' || quiz.pollIds[quiz.currentIndex] !== poll.id) return;
+
+  if (quiz.currentIndex >= quiz.pollIds.length - 1) {
+    await completeQuiz(quiz);
+    return;
+  }
+
+  if (quiz.autoAdvance) {
+    quiz.advanceAt = new Date(Date.now() + quiz.advanceDelay * 1000).toISOString();
+    await store.saveQuiz(quiz);
+    syncQuizTimer(quiz);
+  }
+
+  events.emit('quizQuestionEnded', { quiz });
+}
+
+// Load a quiz, checking the teacher has `permission` in its session
+// (running it by default). Returns { quiz } or { status, error }.
+async function getOwnedQuiz(quizId, teacherId, permission = 'polls.manage') {
+  const quiz = await store.getQuiz(quizId);
+
+  if (!quiz) {
+    return { status: 404, error: 'Quiz not found' };
+  }
+
+  const denied = await checkRecordPermission(quiz, teacherId, permission);
+  if (denied) return denied;
+
+  return { quiz };
+}
+
+// Teacher controls for a quiz. Each returns { quiz } or { status, error }.
+const quizControls = {
+  start: lockedBySession(sessionOfQuiz, async function start(quizId, teacherId) {
+    const { quiz, status, error } = await getOwnedQuiz(quizId, teacherId);
+    if (error) return { status, error };
+
+    if (quiz.status !== 'draft') {
+      return { status: 409, error: 'Quiz has already been started' };
+    }
+
+    return advanceQuiz(quiz.id);
+  }),
+
+  next: lockedBySession(sessionOfQuiz, async function next(quizId, teacherId) {
+    const { quiz, status, error } = await getOwnedQuiz(quizId, teacherId);
+    if (error) return { status, error };
+
+    if (quiz.status !== 'running') {
+      return { status: 409, error: 'Quiz is not running' };
+    }
+
+    return advanceQuiz(quiz.id);
+  })
+};
+
+// Staff
+
+const MAX_STAFF = 20;
+const DEFAULT_INVITATION_SECONDS = 24 * 60 * 60;
+const MAX_INVITATION_SECONDS = 30 * 24 * 60 * 60;
+const MAX_INVITATION_USES = 100;
+
+function isInvitationUsable(invitation, now = Date.now()) {
+  return new Date(invitation.expiresAt).getTime() > now
+    && (invitation.maxUses === null || invitation.uses < invitation.maxUses);
+}
+
+// Invitations that can still be used, newest first
+function listInvitations(session) {
+  return Object.values(session.invitations || {})
+    .filter(invitation => isInvitationUsable(invitation))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getStaffSession(sessionCode, teacherId, permission) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = permission ? checkPermission(session, teacherId, permission) : checkStaff(session, teacherId);
+  if (denied) return denied;
+
+  return { session };
+}
+
+// The session's owner and staff, plus its open invitations for hosts who
+// can manage staff. Returns { staff, invitations } or { status, error }.
+async function getSessionStaff(teacherId, sessionCode) {
+  const { session, status, error } = await getStaffSession(sessionCode, teacherId);
+  if (error) return { status, error };
+
+  return {
+    staff: listStaff(session),
+    invitations: can(session, teacherId, 'session.manage') ? listInvitations(session) : undefined
+  };
+}
+
+// Invite another teacher to the session's staff as a co-host or TA. The
+// invitation code is valid for `expiresIn` seconds (a day by default) and
+// for up to `maxUses` teachers (unlimited when not given).
+// Returns { invitation } or { status, error }.
+const createStaffInvitation = lockedBySession((teacherId, sessionCode) => sessionCode, async function createStaffInvitation(teacherId, sessionCode, { role, expiresIn, maxUses } = {}) {
+  const { session, status, error } = await getStaffSession(sessionCode, teacherId, 'session.manage');
+  if (error) return { status, error };
+
+  if (!STAFF_ROLES.includes(role)) {
+    return { status: 400, error: `Role must be one of: ${STAFF_ROLES.join(', ')}` };
+  }
+
+  const seconds = expiresIn === undefined || expiresIn === null ? DEFAULT_INVITATION_SECONDS : Number(expiresIn);
+  if (!Number.isInteger(seconds) || seconds < 60 || seconds > MAX_INVITATION_SECONDS) {
+    return { status: 400, error: `Invitations must last a whole number of seconds from 60 to ${MAX_INVITATION_SECONDS}` };
+  }
+
+  const uses = maxUses === undefined || maxUses === null ? null : Number(maxUses);
+  if (uses !== null && (!Number.isInteger(uses) || uses < 1 || uses > MAX_INVITATION_USES)) {
+    return { status: 400, error: `Maximum uses must be a whole number from 1 to ${MAX_INVITATION_USES}` };
+  }
+
+  let code = sessions.generateInviteCode();
+  while ((session.invitations || {})[code]) {
+    code = sessions.generateInviteCode();
+  }
+
+  const invitation = {
+    code,
+    role,
+    createdBy: { id: teacherId, name: getStaffName(session, teacherId) },
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + seconds * 1000).toISOString(),
+    maxUses: uses,
+    uses: 0
+  };
+
+  // Drop invitations that can no longer be used while we are here
+  session.invitations = Object.fromEntries(
+    listInvitations(session).map(existing => [existing.code, existing])
+  );
+  session.invitations[code] = invitation;
+  await store.saveSession(session);
+
+  return { invitation };
+});
+
+const revokeStaffInvitation = lockedBySession((teacherId, sessionCode) => sessionCode, async function revokeStaffInvitation(teacherId, sessionCode, inviteCode) {
+  const { session, status, error } = await getStaffSession(sessionCode, teacherId, 'session.manage');
+  if (error) return { status, error };
+
+  const code = sessions.normalizeCode(inviteCode);
+  if (!(session.invitations || {})[code]) {
+    return { status: 404, error: 'Invitation not found' };
+  }
+
+  session.invitations = { ...session.invitations };
+  delete session.invitations[code];
+  await store.saveSession(session);
+
+  return {};
+});
+
+// Join a session's staff with an invitation code. A teacher who already
+// holds a token keeps their teacher ID, so one account can host its own
+// session and help in others. Joining again with a new invitation takes
+// that invitation's role. Returns { session, member } or { status, error }.
+const joinStaff = lockedBySession((user, { sessionCode }) => sessionCode, async function joinStaff(user, { sessionCode, inviteCode, teacherName }) {
+  if (!teacherName || typeof teacherName !== 'string' || !teacherName.trim()) {
+    return { status: 400, error: 'Teacher name is required' };
+  }
+
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const invitation = (session.invitations || {})[sessions.normalizeCode(inviteCode)];
+  if (!invitation || !isInvitationUsable(invitation)) {
+    return { status: 403, error: 'This invitation is invalid or has expired' };
+  }
+
+  const teacherId = user?.role === 'teacher' ? user.id : uuidv4();
+
+  if (session.teacherId === teacherId) {
+    return { status: 409, error: 'You already own this session' };
+  }
+
+  const staff = session.staff || {};
+  if (!staff[teacherId] && Object.keys(staff).length >= MAX_STAFF) {
+    return { status: 409, error: `A session can have at most ${MAX_STAFF} staff` };
+  }
+
+  const member = {
+    id: teacherId,
+    name: teacherName.trim(),
+    role: invitation.role,
+    invitedBy: invitation.createdBy,
+    joinedAt: staff[teacherId]?.joinedAt || new Date().toISOString()
+  };
+
+  session.staff = { ...staff, [teacherId]: member };
+  session.invitations = { ...session.invitations, [invitation.code]: { ...invitation, uses: invitation.uses + 1 } };
+  await store.saveSession(session);
+
+  events.emit('staffUpdated', { session });
+
+  return { session, member };
+});
+
+// Change a staff member's role (hosts who can manage staff)
+const updateStaffRole = lockedBySession((teacherId, sessionCode) => sessionCode, async function updateStaffRole(teacherId, sessionCode, staffId, role) {
+  const { session, status, error } = await getStaffSession(sessionCode, teacherId, 'session.manage');
+  if (error) return { status, error };
+
+  if (!STAFF_ROLES.includes(role)) {
+    return { status: 400, error: `Role must be one of: ${STAFF_ROLES.join(', ')}` };
+  }
+
+  const existing = (session.staff || {})[staffId];
+  if (!existing) {
+    return { status: 404, error: 'Staff member not found' };
+  }
+
+  const member = { ...existing, role };
+  session.staff = { ...session.staff, [staffId]: member };
+  await store.saveSession(session);
+
+  events.emit('staffRoleChanged', { session, member });
+
+  return { member };
+});
+
+// Take a teacher off the session's staff (hosts who can manage staff), or
+// leave it yourself. Their open sockets are disconnected.
+const removeStaff = lockedBySession((teacherId, sessionCode) => sessionCode, async function removeStaff(teacherId, sessionCode, staffId) {
+  const { session, status, error } = await getStaffSession(
+    sessionCode, teacherId, staffId === teacherId ? null : 'session.manage');
+  if (error) return { status, error };
+
+  if (!(session.staff || {})[staffId]) {
+    return { status: 404, error: 'Staff member not found' };
+  }
+
+  session.staff = { ...session.staff };
+  delete session.staff[staffId];
+  await store.saveSession(session);
+
+  events.emit('staffRemoved', { session, staffId });
+
+  return {};
+});
+
+// Participants
+
+// Add a student to a session's participant list. A student rejoining with
+// their token for the same session keeps their ID.
+// Returns { session, participant } or { status, error }.
+const joinSession = lockedBySession((user, { sessionCode }) => sessionCode, async function joinSession(user, { studentName, sessionCode }) {
+  if (!studentName || typeof studentName !== 'string') {
+    return { status: 400, error: 'Student name is required' };
+  }
+
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const studentId = user?.role === 'student' && user.sessionCode === session.code
+    ? user.id
+    : uuidv4();
+
+  // Check if student is kicked out
+  if (isKickedOut(session, studentId)) {
+    return { status: 403, error: 'You have been removed from this session' };
+  }
+
+  // Add to active participants
+  session.participants[studentId] = {
+    id: studentId,
+    name: studentName.trim(),
+    role: 'student',
+    joinedAt: new Date().toISOString()
+  };
+
+  await store.saveSession(session);
+
+  return { session, participant: session.participants[studentId] };
+});
+
+// When a disconnected student's grace window runs out
+function getRemovalTime(participant) {
+  return new Date(new Date(participant.disconnectedAt).getTime() + RECONNECT_GRACE_SECONDS * 1000);
+}
+
+// Match a student's removal timer to their stored `disconnectedAt`
+function syncRemovalTimer(sessionCode, studentId, participant) {
+  if (!timerOwner.isLeader()) {
+    announceTimer({ sessionCode, studentId });
+    return;
+  }
+
+  const key = `participant:${sessionCode}:${studentId}`;
+  if (participant?.disconnectedAt) {
+    pollTimers.scheduleTask(key, getRemovalTime(participant), () => {
+      removeDisconnectedParticipant(sessionCode, studentId).catch(error => {
+        console.error('Error removing disconnected participant:', error);
+      });
+    });
+  } else {
+    pollTimers.cancelTask(key);
+  }
+}
+
+// A student's live connection opened. A student coming back within the grace
+// window keeps their place and is reported as resumed.
+// Returns { session, participant, resumed } or { status, error }.
+const connectParticipant = lockedBySession(user => user.sessionCode, async function connectParticipant({ id: studentId, name: studentName, role, sessionCode }) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  if (role !== 'student') {
+    return { status: 403, error: 'Only students can join as participants' };
+  }
+
+  const ban = getBan(session, studentId);
+  if (ban) {
+    return { status: 403, error: 'You have been removed from this session', kickedOut: true, ban };
+  }
+
+  const existing = session.participants[studentId];
+  const resumed = Boolean(existing?.disconnectedAt);
+
+  // Add to active participants
+  session.participants[studentId] = {
+    id: studentId,
+    name: studentName,
+    role: 'student',
+    joinedAt: existing?.joinedAt || new Date().toISOString(),
+    disconnectedAt: null
+  };
+
+  await store.saveSession(session);
+  if (resumed) syncRemovalTimer(session.code, studentId, null);
+
+  console.log(`Student ${studentName} ${resumed ? 'rejoined' : 'joined'} session ${session.code}`);
+
+  const participant = session.participants[studentId];
+  events.emit('participantJoined', { session, participant, resumed });
+
+  return { session, participant, resumed };
+});
+
+// Remove a student who has not come back within the grace window
+const removeDisconnectedParticipant = lockedBySession(code => code, async function removeDisconnectedParticipant(sessionCode, studentId) {
+  const session = await getSession(sessionCode);
+  const participant = session?.participants[studentId];
+  if (!participant || !participant.disconnectedAt) return;
+
+  // Reconnected and dropped again since the timer was set
+  if (getRemovalTime(participant).getTime() > Date.now()) {
+    syncRemovalTimer(sessionCode, studentId, participant);
+    return;
+  }
+
+  delete session.participants[studentId];
+
+  await store.saveSession(session);
+
+  events.emit('participantRemoved', { session, studentId, reason: 'disconnected' });
+});
+
+// A student's last live connection closed. They stay listed for the grace
+// window, then are removed.
+const disconnectParticipant = lockedBySession(code => code, async function disconnectParticipant(sessionCode, studentId) {
+  const session = await getSession(sessionCode);
+  if (!session || !session.participants[studentId]) return;
+
+  session.participants[studentId].disconnectedAt = new Date().toISOString();
+
+  await store.saveSession(session);
+  syncRemovalTimer(sessionCode, studentId, session.participants[studentId]);
+
+  events.emit('participantDisconnected', {
+    session,
+    studentId,
+    reconnectWithin: RECONNECT_GRACE_SECONDS
+  });
+});
+
+// Remove a student from a session and keep them out (hosts who can manage participants):
+// for `duration` seconds, or until reinstated when no duration is given.
+// Returns { ban } or { status, error }.
+const kickParticipant = lockedBySession((teacherId, sessionCode) => sessionCode, async function kickParticipant(teacherId, sessionCode, studentId, { reason, duration } = {}) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'participants.manage');
+  if (denied) return denied;
+
+  let expiresAt = null;
+  if (duration !== undefined && duration !== null) {
+    const seconds = Number(duration);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_BAN_SECONDS) {
+      return { status: 400, error: `Ban duration must be a whole number of seconds from 1 to ${MAX_BAN_SECONDS}` };
+    }
+    expiresAt = new Date(Date.now() + seconds * 1000).toISOString();
+  }
+
+  const ban = {
+    studentId,
+    studentName: session.participants[studentId]?.name || getBan(session, studentId)?.studentName || null,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : 'Removed by teacher',
+    kickedBy: { id: teacherId, name: getStaffName(session, teacherId) },
+    kickedAt: new Date().toISOString(),
+    expiresAt
+  };
+
+  // Record the ban in this session (replacing any earlier one)
+  session.bans = { ...(session.bans || {}), [studentId]: ban };
+
+  // Remove from active participants
+  const wasDisconnected = Boolean(session.participants[studentId]?.disconnectedAt);
+  delete session.participants[studentId];
+
+  await store.saveSession(session);
+  if (wasDisconnected) syncRemovalTimer(session.code, studentId, null);
+
+  events.emit('participantKicked', { session, studentId, reason: ban.reason, ban });
+
+  return { ban };
+});
+
+// Bans in force in a session (hosts who can manage participants).
+// Returns { bans } or { status, error }.
+async function listSessionBans(teacherId, sessionCode) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'participants.manage');
+  if (denied) return denied;
+
+  return { bans: listBans(session) };
+}
+
+// Lift a student's ban so they can join again (hosts who can manage participants)
+const reinstateParticipant = lockedBySession((teacherId, sessionCode) => sessionCode, async function reinstateParticipant(teacherId, sessionCode, studentId) {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, 'participants.manage');
+  if (denied) return denied;
+
+  if (!isKickedOut(session, studentId)) {
+    return { status: 404, error: 'Student is not banned from this session' };
+  }
+
+  session.bans = { ...(session.bans || {}) };
+  delete session.bans[studentId];
+  session.kickedOutStudents = (session.kickedOutStudents || []).filter(id => id !== studentId);
+
+  await store.saveSession(session);
+
+  events.emit('participantReinstated', { session, studentId });
+
+  return { session };
+});
+
+// Chat
+
+// Post a chat message to the sender's session. Students' messages go through
+// the session's chat rules (see lib/chat.js). Returns { message } or { status, error }.
+const sendMessage = lockedBySession(user => user.sessionCode, async function sendMessage({ id: senderId, name: senderName, role: senderRole, sessionCode }, message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    return { status: 400, error: 'Message is required' };
+  }
+
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  let text = message.trim();
+
+  if (senderRole === 'student') {
+    // Check if sender is kicked out
+    if (isKickedOut(session, senderId)) {
+      return { status: 403, error: 'You have been removed from this session' };
+    }
+
+    const currentPoll = await getCurrentPoll(session);
+    const moderated = moderateMessage(session, senderId, text, {
+      pollActive: Boolean(currentPoll && currentPoll.isActive)
+    });
+
+    if (moderated.error) {
+      return { status: moderated.status, error: moderated.error };
+    }
+
+    text = moderated.text;
+  } else {
+    // Teachers removed from the session's staff can no longer post
+    const denied = checkStaff(session, senderId);
+    if (denied) return denied;
+  }
+
+  const chatMessage = {
+    id: uuidv4(),
+    message: text,
+    senderName,
+    senderRole,
+    senderId,
+    timestamp: new Date().toISOString()
+  };
+
+  session.chatMessages.push(chatMessage);
+
+  // Keep only the most recent messages
+  if (session.chatMessages.length > MAX_CHAT_MESSAGES) {
+    session.chatMessages = session.chatMessages.slice(-MAX_CHAT_MESSAGES);
+  }
+
+  // Slow mode counts from each student's last message
+  if (senderRole === 'student') {
+    session.chatLastSentAt = { ...(session.chatLastSentAt || {}), [senderId]: chatMessage.timestamp };
+  }
+
+  await store.saveSession(session);
+
+  events.emit('messageSent', { session, message: chatMessage });
+
+  return { message: chatMessage };
+});
+
+// Chat moderation (hosts who can moderate chat; settings need chat.configure)
+
+async function getModeratedSession(sessionCode, teacherId, permission = 'chat.moderate') {
+  const session = await getSession(sessionCode);
+
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+
+  const denied = checkPermission(session, teacherId, permission);
+  if (denied) return denied;
+
+  return { session };
+}
+
+const deleteMessage = lockedBySession((teacherId, sessionCode) => sessionCode, async function deleteMessage(teacherId, sessionCode, messageId) {
+  const { session, status, error } = await getModeratedSession(sessionCode, teacherId);
+  if (error) return { status, error };
+
+  if (!session.chatMessages.some(message => message.id === messageId)) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  session.chatMessages = session.chatMessages.filter(message => message.id !== messageId);
+  await store.saveSession(session);
+
+  events.emit('messageDeleted', { session, messageId, deletedBy: teacherId });
+
+  return { session };
+});
+
+// Mute a student for `duration` seconds, or until unmuted when no duration is given
+const muteStudent = lockedBySession((teacherId, sessionCode) => sessionCode, async function muteStudent(teacherId, sessionCode, studentId, { duration, reason } = {}) {
+  const { session, status, error } = await getModeratedSession(sessionCode, teacherId);
+  if (error) return { status, error };
+
+  if (!session.participants[studentId]) {
+    return { status: 404, error: 'Participant not found' };
+  }
+
+  const { until, error: durationError } = getMuteUntil(duration);
+  if (durationError) {
+    return { status: 400, error: durationError };
+  }
+
+  const mute = {
+    mutedAt: new Date().toISOString(),
+    until,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+  };
+
+  session.mutedStudents = { ...(session.mutedStudents || {}), [studentId]: mute };
+  await store.saveSession(session);
+
+  events.emit('studentMuted', { session, studentId, mute });
+
+  return { mute };
+});
+
+const unmuteStudent = lockedBySession((teacherId, sessionCode) => sessionCode, async function unmuteStudent(teacherId, sessionCode, studentId) {
+  const { session, status, error } = await getModeratedSession(sessionCode, teacherId);
+  if (error) return { status, error };
+
+  if (!(session.mutedStudents || {})[studentId]) {
+    return { status: 404, error: 'Student is not muted' };
+  }
+
+  delete session.mutedStudents[studentId];
+  await store.saveSession(session);
+
+  events.emit('studentUnmuted', { session, studentId });
+
+  return { session };
+});
+
+const updateChatSettings = lockedBySession(code => code, async function updateChatSettings(sessionCode, teacherId, updates) {
+  const { session, status, error } = await getModeratedSession(sessionCode, teacherId, 'chat.configure');
+  if (error) return { status, error };
+
+  const chat = configureChat(getChatSettings(session), updates);
+  if (chat.error) {
+    return { status: 400, error: chat.error };
+  }
+
+  session.chat = chat;
+  await store.saveSession(session);
+
+  events.emit('chatSettingsUpdated', { session });
+
+  return { chat };
+});
+
+module.exports = {
+  events,
+  RECONNECT_GRACE_SECONDS,
+  getCurrentPoll,
+  createSession: sessions.createSession,
+  closeSession,
+  updateScoring,
+  createPoll,
+  startPoll,
+  endPoll,
+  restorePollTimers,
+  startTimerOwnership,
+  addTimerOwnerJob,
+  endExpiredPolls,
+  startDueScheduledPolls,
+  getScheduledPolls,
+  listScheduledPolls,
+  scheduleControls,
+  pollControls,
+  revealAnswer,
+  updateRevealPolicy,
+  submitResponse,
+  getPollAnalytics,
+  listSessionHistory,
+  getSessionAnalytics,
+  getQuizPolls,
+  createQuiz,
+  getOwnedQuiz,
+  quizControls,
+  getSessionStaff,
+  createStaffInvitation,
+  revokeStaffInvitation,
+  joinStaff,
+  updateStaffRole,
+  removeStaff,
+  joinSession,
+  connectParticipant,
+  disconnectParticipant,
+  kickParticipant,
+  listSessionBans,
+  reinstateParticipant,
+  sendMessage,
+  deleteMessage,
+  muteStudent,
+  unmuteStudent,
+  updateChatSettings
+};
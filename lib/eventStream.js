@@ -0,0 +1,203 @@
+// Event feed for clients that cannot keep a Socket.io connection open, such
+// as the serverless deployment. Events carry the same names and payloads as
+// the socket broadcasts and are numbered, so a client can resume from the
+// last one it saw. Each event is published to a room (see lib/broadcasts.js)
+// and a client only receives events for the rooms it belongs to. Served
+// either as a Server-Sent Events stream or as a long-poll endpoint.
+//
+// The numbered log lives in the store, so every instance sharing it hands
+// out the same numbers and can replay any event, and new events reach the
+// instances holding open streams and long-polls through pub/sub.
+const DEFAULT_MAX_EVENTS = 500;
+const KEEP_ALIVE_INTERVAL = 15 * 1000;
+
+// Serverless platforms stop functions that run too long (10 seconds by
+// default on Vercel), so a long-poll answers empty well before that
+const MAX_LONG_POLL_WAIT = Number(process.env.LONG_POLL_WAIT_SECONDS ?? 8) * 1000;
+
+const CLIENT_EVENTS_CHANNEL = 'client-events';
+
+function createEventStream({ store, pubsub, maxEvents = DEFAULT_MAX_EVENTS }) {
+  const streams = new Set(); // open SSE responses
+  const waiters = new Set(); // pending long-poll requests
+
+  // Events after `since` in the given rooms, with the number of the latest
+  // event to resume from. A cursor ahead of the log (kept from before the
+  // log was lost, as when a memory store restarts) starts over from the
+  // oldest event kept.
+  async function eventsSince(since, rooms) {
+    const lastEventId = await store.getLastEventId();
+    const logged = await store.listEvents({ since: since > lastEventId ? 0 : since });
+
+    return {
+      entries: logged.filter(entry => rooms.includes(entry.room)),
+      lastEventId: logged.reduce((latest, entry) => Math.max(latest, entry.id), lastEventId)
+    };
+  }
+
+  function writeEvent(res, entry) {
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  }
+
+  function toClientEvent({ id, event, data, timestamp }) {
+    return { id, event, data, timestamp };
+  }
+
+  function respond(waiter, entries, lastEventId) {
+    if (waiter.answered) return;
+    waiter.answered = true;
+    clearTimeout(waiter.timeout);
+    waiters.delete(waiter);
+    waiter.res.json({ events: entries.map(toClientEvent), lastEventId });
+  }
+
+  // Add an event to the shared log and announce it to every instance
+  async function publish(room, event, data) {
+    const entry = await store.appendEvent(
+      { room, event, data, timestamp: new Date().toISOString() },
+      { maxEvents }
+    );
+    await pubsub.publish(CLIENT_EVENTS_CHANNEL, entry);
+    return entry;
+  }
+
+  // Write an event to an SSE stream. Events published on other instances can
+  // arrive out of order, so a gap since the last one written is filled from
+  // the log first.
+  function sendToStream(stream, entry) {
+    stream.queue = stream.queue.then(async () => {
+      if (stream.closed || entry.id <= stream.lastId) return;
+
+      const entries = entry.id === stream.lastId + 1
+        ? [entry]
+        : (await store.listEvents({ since: stream.lastId })).filter(logged => logged.id <= entry.id);
+
+      const written = entries.filter(logged => stream.rooms.includes(logged.room));
+      written.forEach(logged => writeEvent(stream.res, logged));
+      stream.lastId = entry.id;
+
+      if (written.some(logged => stream.closeOn.includes(logged.event))) {
+        closeStream(stream);
+      }
+    }).catch(error => {
+      console.error('Error writing to event stream:', error);
+    });
+  }
+
+  // End a stream from this side, as when a socket is disconnected
+  function closeStream(stream) {
+    stream.closed = true;
+    streams.delete(stream);
+    stream.res.end();
+  }
+
+  // A new event reached this instance
+  function deliver(entry) {
+    streams.forEach(stream => sendToStream(stream, entry));
+
+    Array.from(waiters)
+      .filter(waiter => waiter.rooms.includes(entry.room))
+      .forEach(waiter => {
+        eventsSince(waiter.since, waiter.rooms)
+          .then(({ entries, lastEventId }) => respond(waiter, entries, lastEventId))
+          .catch(error => {
+            console.error('Error answering long-poll:', error);
+          });
+      });
+  }
+
+  pubsub.subscribe(CLIENT_EVENTS_CHANNEL, deliver).catch(error => {
+    console.error('Error subscribing to client events:', error);
+  });
+
+  // GET handler for an SSE stream of events in `rooms`. Replays anything after
+  // the Last-Event-ID header (sent by EventSource when it reconnects) or
+  // ?since=. `onClose` runs when the client goes away. Events named in
+  // `closeOn` end the stream once written, such as `removedFromStaff` for a
+  // teacher taken off the staff, wherever the event was published.
+  async function streamHandler(req, res, { rooms, onClose, closeOn = [] } = {}) {
+    const since = Number(req.get('Last-Event-ID') ?? req.query.since) || 0;
+
+    // Listen before reading the log, so nothing published in between is
+    // missed; new events wait until the replay has been written
+    const stream = { res, rooms, closeOn, lastId: since, closed: false };
+    const replay = eventsSince(since, rooms).then(({ entries, lastEventId }) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 2000\n\n');
+
+      entries.forEach(entry => writeEvent(res, entry));
+      stream.lastId = lastEventId;
+    });
+    stream.queue = replay.catch(() => {});
+    streams.add(stream);
+
+    try {
+      await replay;
+    } catch (error) {
+      streams.delete(stream);
+      throw error;
+    }
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      streams.delete(stream);
+      if (onClose) onClose();
+    });
+  }
+
+  // GET handler for long-polling events in `rooms` with ?since=<lastEventId>.
+  // Answers right away when there are newer events, otherwise waits up to
+  // `maxWait` ms for one.
+  async function longPollHandler(req, res, { rooms, maxWait = MAX_LONG_POLL_WAIT } = {}) {
+    const since = Number(req.query.since) || 0;
+
+    const waiter = { res, rooms, since, answered: false };
+    waiters.add(waiter);
+    res.on('close', () => {
+      waiter.answered = true;
+      clearTimeout(waiter.timeout);
+      waiters.delete(waiter);
+    });
+
+    let pending;
+    try {
+      pending = await eventsSince(since, rooms);
+    } catch (error) {
+      waiters.delete(waiter);
+      throw error;
+    }
+
+    if (pending.entries.length > 0) {
+      return respond(waiter, pending.entries, pending.lastEventId);
+    }
+
+    if (!waiter.answered) {
+      waiter.timeout = setTimeout(
+        () => respond(waiter, [], pending.lastEventId),
+        Math.max(0, Math.min(maxWait, MAX_LONG_POLL_WAIT))
+      );
+    }
+  }
+
+  // Whether any SSE stream on this instance is open for one of `rooms`
+  function hasStream(rooms) {
+    return Array.from(streams).some(stream => stream.rooms.some(room => rooms.includes(room)));
+  }
+
+  return {
+    publish,
+    streamHandler,
+    longPollHandler,
+    hasStream
+  };
+}
+
+module.exports = { createEventStream };
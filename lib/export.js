@@ -0,0 +1,219 @@
+// Exports of poll results for gradebooks: one row per student response, plus a
+// summary built from each poll's finalResults and summary. Available as CSV,
+// raw JSON or an XLSX workbook with a Responses and a Summary sheet.
+const ExcelJS = require('exceljs');
+const { isGraded, getCorrectAnswer } = require('./questionTypes');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const RESPONSE_COLUMNS = [
+  { key: 'pollId', header: 'Poll ID' },
+  { key: 'question', header: 'Question' },
+  { key: 'type', header: 'Type' },
+  { key: 'studentName', header: 'Student Name' },
+  { key: 'studentId', header: 'Student ID' },
+  { key: 'answer', header: 'Answer' },
+  { key: 'isCorrect', header: 'Correct' },
+  { key: 'points', header: 'Points' },
+  { key: 'timeToAnswer', header: 'Time to Answer (s)' },
+  { key: 'submittedAt', header: 'Submitted At' }
+];
+
+const SUMMARY_COLUMNS = [
+  { key: 'pollId', header: 'Poll ID' },
+  { key: 'question', header: 'Question' },
+  { key: 'type', header: 'Type' },
+  { key: 'sessionCode', header: 'Session' },
+  { key: 'startTime', header: 'Started At' },
+  { key: 'totalResponses', header: 'Responses' },
+  { key: 'correctResponses', header: 'Correct' },
+  { key: 'correctPercentage', header: 'Correct %' },
+  { key: 'correctAnswer', header: 'Correct Answer' },
+  { key: 'results', header: 'Results' }
+];
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatValue).join('; ');
+  if (typeof value === 'object') {
+    return value.tolerance ? `${value.value} ± ${value.tolerance}` : String(value.value ?? JSON.stringify(value));
+  }
+  return value;
+}
+
+function secondsBetween(start, end) {
+  if (!start || !end) return '';
+  return Math.round((new Date(end).getTime() - new Date(start).getTime()) / 100) / 10;
+}
+
+// One row per student response, in the order students answered
+function buildResponseRows(polls) {
+  const rows = [];
+
+  polls.forEach(poll => {
+    const graded = isGraded(poll);
+
+    Object.values(poll.responses || {})
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(response => {
+        rows.push({
+          pollId: poll.id,
+          question: poll.question,
+          type: poll.type || 'single',
+          studentName: response.studentName,
+          studentId: response.studentId,
+          answer: formatValue(response.selectedOption),
+          isCorrect: graded ? (response.isCorrect ? 'yes' : 'no') : '',
+          points: response.points ?? '',
+          timeToAnswer: secondsBetween(poll.startTime, response.timestamp),
+          submittedAt: response.timestamp
+        });
+      });
+  });
+
+  return rows;
+}
+
+// Describe finalResults in one cell, e.g. "Paris: 12 (60%); Rome: 8 (40%)"
+function describeResults(poll) {
+  const finalResults = poll.finalResults || {};
+
+  if (Array.isArray(finalResults.words)) {
+    return finalResults.words.map(({ word, count }) => `${word}: ${count}`).join('; ');
+  }
+
+  if (Array.isArray(finalResults.answers)) {
+    return `${finalResults.count} answers`;
+  }
+
+  if (finalResults.mean !== undefined) {
+    return `mean ${formatValue(finalResults.mean)}, median ${formatValue(finalResults.median)}, ` +
+      `min ${formatValue(finalResults.min)}, max ${formatValue(finalResults.max)}`;
+  }
+
+  return Object.entries(finalResults)
+    .map(([option, result]) => `${option}: ${result.count} (${result.percentage}%)`)
+    .join('; ');
+}
+
+function buildSummaryRows(polls) {
+  return polls.map(poll => {
+    const summary = poll.summary || {};
+    const graded = isGraded(poll);
+
+    return {
+      pollId: poll.id,
+      question: poll.question,
+      type: poll.type || 'single',
+      sessionCode: poll.sessionCode,
+      startTime: poll.startTime,
+      totalResponses: summary.totalResponses ?? Object.keys(poll.responses || {}).length,
+      correctResponses: graded ? summary.correctResponses ?? '' : '',
+      correctPercentage: graded ? summary.correctPercentage ?? '' : '',
+      correctAnswer: graded ? formatValue(getCorrectAnswer(poll)) : '',
+      results: describeResults(poll)
+    };
+  });
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  const formatted = formatValue(value);
+  let text = String(formatted);
+  if (typeof formatted === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => csvCell(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvCell(row[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Raw poll records, including every response
+function toJson(polls, meta = {}) {
+  return {
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    polls: polls.map(poll => ({
+      id: poll.id,
+      question: poll.question,
+      type: poll.type || 'single',
+      graded: isGraded(poll),
+      options: poll.options,
+      correctAnswer: getCorrectAnswer(poll),
+      sessionCode: poll.sessionCode,
+      quizId: poll.quizId,
+      teacherId: poll.teacherId,
+      teacherName: poll.teacherName,
+      createdAt: poll.createdAt,
+      startTime: poll.startTime,
+      endTime: poll.endTime,
+      duration: poll.duration,
+      responses: Object.values(poll.responses || {}),
+      finalResults: poll.finalResults || null,
+      summary: poll.summary || null
+    }))
+  };
+}
+
+function addSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns.map(column => ({
+    key: column.key,
+    header: column.header,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  return sheet;
+}
+
+async function toXlsx(polls) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addSheet(workbook, 'Responses', RESPONSE_COLUMNS, buildResponseRows(polls));
+  addSheet(workbook, 'Summary', SUMMARY_COLUMNS, buildSummaryRows(polls));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// Send `polls` in the requested format. CSV holds the responses by default,
+// or the summary with `sheet=summary`.
+async function sendExport(res, { format = 'csv', sheet = 'responses', filename, polls, meta }) {
+  switch (format) {
+    case 'json':
+      res.attachment(`${filename}.json`);
+      return res.json(toJson(polls, meta));
+
+    case 'xlsx':
+      res.attachment(`${filename}.xlsx`);
+      return res.send(Buffer.from(await toXlsx(polls)));
+
+    default: {
+      const isSummary = sheet === 'summary';
+      const csv = isSummary
+        ? toCsv(buildSummaryRows(polls), SUMMARY_COLUMNS)
+        : toCsv(buildResponseRows(polls), RESPONSE_COLUMNS);
+
+      res.attachment(`${filename}${isSummary ? '-summary' : ''}.csv`);
+      res.type('text/csv');
+      return res.send(csv);
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildResponseRows,
+  buildSummaryRows,
+  toCsv,
+  toJson,
+  toXlsx,
+  sendExport
+};
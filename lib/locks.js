@@ -0,0 +1,77 @@
+// Per-key locks for engine operations that read a record, change it and save
+// it back. The store hands out copies, so two such operations on the same
+// session running side by side would each save their own copy and one
+// change would be lost. Holding the session's lock for the whole operation
+// makes them take turns.
+//
+// Within one process callers queue on a promise chain per key. When the
+// store is shared between instances (redis) it also provides acquireLock()
+// and releaseLock(), and the lock is held there too while the operation
+// runs. Locks are re-entrant: an operation that calls another one needing the
+// same lock (closing a session ends its poll) runs it straight away.
+const { AsyncLocalStorage } = require('async_hooks');
+const { store } = require('./storage');
+
+// A shared lock expires on its own after this long, so an instance that dies
+// holding one does not block the session for good
+const LOCK_TTL_MS = 15000;
+const LOCK_WAIT_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+const queues = new Map(); // key -> promise settling once the last caller is done
+const held = new AsyncLocalStorage(); // the locks the running operation holds
+
+function isHeld(key) {
+  return (held.getStore() || []).some(lock => lock.key === key && !lock.released);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireShared(key) {
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  for (;;) {
+    const token = await store.acquireLock(key, LOCK_TTL_MS);
+    if (token) return token;
+
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`Timed out waiting for lock ${key}`);
+    }
+    await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+  }
+}
+
+// Run `fn` holding the lock for `key`, resolving with its result
+async function withLock(key, fn) {
+  if (isHeld(key)) return fn();
+
+  const previous = queues.get(key) || Promise.resolve();
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  const current = previous.then(() => finished);
+  queues.set(key, current);
+
+  await previous;
+
+  const lock = { key, released: false };
+  let token = null;
+
+  try {
+    if (store.acquireLock) token = await acquireShared(key);
+
+    // Timers and callbacks started by `fn` keep this context; marking the
+    // lock released stops them from skipping the queue later on
+    return await held.run([...(held.getStore() || []), lock], fn);
+  } finally {
+    lock.released = true;
+    if (token) {
+      await store.releaseLock(key, token).catch(error => {
+        console.error(`Could not release lock ${key}:`, error);
+      });
+    }
+    done();
+    if (queues.get(key) === current) queues.delete(key);
+  }
+}
+
+module.exports = { withLock };
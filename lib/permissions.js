@@ -0,0 +1,105 @@
+// Who may do what in a session. The teacher who opened a session is its
+// owner; other teachers join its staff through an invitation code as a
+// co-host or teaching assistant. Each role grants a set of permissions, and
+// every teacher action on a session, its polls or its quizzes checks one.
+//
+// Staff hold teacher tokens bound to the session, so `role: 'teacher'` on a
+// token only says the holder signed in as a teacher; their role here comes
+// from the session's `staff`, and is gone as soon as they are removed.
+const { getSession } = require('./sessions');
+
+// What each permission lets a member do, in words for error messages
+const PERMISSIONS = {
+  'session.manage': 'close the session or change its staff',
+  'polls.manage': 'create, run or reveal polls and quizzes',
+  'scoring.manage': 'change scoring',
+  'results.view': 'view results, analytics and exports',
+  'participants.manage': 'remove or reinstate students',
+  'chat.moderate': 'moderate chat',
+  'chat.configure': 'change chat settings'
+};
+
+const ROLE_PERMISSIONS = {
+  owner: Object.keys(PERMISSIONS),
+  cohost: ['polls.manage', 'scoring.manage', 'results.view', 'participants.manage', 'chat.moderate', 'chat.configure'],
+  ta: ['results.view', 'participants.manage', 'chat.moderate']
+};
+
+// Roles the owner can give staff
+const STAFF_ROLES = ['cohost', 'ta'];
+
+// 'owner', 'cohost', 'ta', or null for a teacher who is not on the session's staff
+function getStaffRole(session, teacherId) {
+  if (!session || !teacherId) return null;
+  if (session.teacherId === teacherId) return 'owner';
+  return (session.staff || {})[teacherId]?.role || null;
+}
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function can(session, teacherId, permission) {
+  return getPermissions(getStaffRole(session, teacherId)).includes(permission);
+}
+
+// null when the teacher is on the session's staff, otherwise { status, error }
+function checkStaff(session, teacherId) {
+  return getStaffRole(session, teacherId)
+    ? null
+    : { status: 403, error: 'You are not a host of this session' };
+}
+
+// null when the teacher may use `permission` in the session, otherwise { status, error }
+function checkPermission(session, teacherId, permission) {
+  const problem = checkStaff(session, teacherId);
+  if (problem) return problem;
+
+  return can(session, teacherId, permission)
+    ? null
+    : { status: 403, error: `Your role in this session does not allow you to ${PERMISSIONS[permission]}` };
+}
+
+// Like checkPermission(), for a poll or quiz: checked against the session it
+// belongs to. Once that session has closed only its owner keeps access.
+async function checkRecordPermission(record, teacherId, permission) {
+  const session = await getSession(record.sessionCode);
+
+  if (!session) {
+    return record.teacherId === teacherId
+      ? null
+      : { status: 403, error: 'Only the session owner can access this after the session has closed' };
+  }
+
+  return checkPermission(session, teacherId, permission);
+}
+
+// The name a staff member goes by in the session (for chat, bans and audit fields)
+function getStaffName(session, teacherId) {
+  return session.teacherId === teacherId
+    ? session.teacherName
+    : (session.staff || {})[teacherId]?.name || null;
+}
+
+// The session's owner followed by its staff, each with their permissions
+function listStaff(session) {
+  const owner = { id: session.teacherId, name: session.teacherName, role: 'owner', joinedAt: session.createdAt };
+  const staff = Object.values(session.staff || {})
+    .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+
+  return [owner, ...staff].map(member => ({ ...member, permissions: getPermissions(member.role) }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  getStaffRole,
+  getPermissions,
+  can,
+  checkStaff,
+  checkPermission,
+  checkRecordPermission,
+  getStaffName,
+  listStaff
+};
@@ -0,0 +1,86 @@
+// Deadlines for running polls and start times for scheduled ones. Each poll
+// ends at its stored `endTime` (and a scheduled poll starts at its
+// `scheduledAt`); this keeps one timeout per poll that fires at that moment,
+// so there is no per-second countdown to drift, and teacher controls (end,
+// pause, resume, extend, reschedule) can cancel or move it. Other stored
+// deadlines (a quiz moving on, a disconnected student being removed) are
+// kept here too, by a key of the caller's choosing.
+const endTimers = new Map();
+const startTimers = new Map();
+const taskTimers = new Map();
+
+// setTimeout cannot wait longer than this; longer waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function schedule(timers, pollId, time, onDue) {
+  cancel(timers, pollId);
+
+  const deadline = new Date(time).getTime();
+
+  const wait = () => {
+    const delay = deadline - Date.now();
+    if (delay <= 0) {
+      timers.delete(pollId);
+      onDue();
+      return;
+    }
+    timers.set(pollId, setTimeout(wait, Math.min(delay, MAX_TIMEOUT)));
+  };
+
+  wait();
+}
+
+function cancel(timers, pollId) {
+  const timeout = timers.get(pollId);
+  if (!timeout) return false;
+
+  clearTimeout(timeout);
+  timers.delete(pollId);
+  return true;
+}
+
+// Call onExpire once `endTime` has passed. Replaces any existing timer.
+function scheduleEnd(pollId, endTime, onExpire) {
+  schedule(endTimers, pollId, endTime, onExpire);
+}
+
+// Cancel a poll's timer, returning whether it had one
+function cancelTimer(pollId) {
+  return cancel(endTimers, pollId);
+}
+
+// Call onStart once `scheduledAt` has passed. Replaces any existing start timer.
+function scheduleStart(pollId, scheduledAt, onStart) {
+  schedule(startTimers, pollId, scheduledAt, onStart);
+}
+
+function cancelStart(pollId) {
+  return cancel(startTimers, pollId);
+}
+
+// Call onDue once `time` has passed. Replaces any existing timer for `key`.
+function scheduleTask(key, time, onDue) {
+  schedule(taskTimers, key, time, onDue);
+}
+
+function cancelTask(key) {
+  return cancel(taskTimers, key);
+}
+
+// Cancel every timer, when this instance stops owning poll timers
+function cancelAll() {
+  [endTimers, startTimers, taskTimers].forEach(timers => {
+    timers.forEach(timeout => clearTimeout(timeout));
+    timers.clear();
+  });
+}
+
+module.exports = {
+  scheduleEnd,
+  cancelTimer,
+  scheduleStart,
+  cancelStart,
+  scheduleTask,
+  cancelTask,
+  cancelAll
+};
@@ -0,0 +1,49 @@
+// Picks one instance to do a job only one should do, such as ending polls
+// when their deadline passes. Each instance keeps trying to take a lock that
+// expires after `ttl` ms; the holder renews it every third of that, so if it
+// stops, another instance takes over within `ttl`.
+function createElection(pubsub, name, { ttl = 10000, onElected = () => {}, onDeposed = () => {} } = {}) {
+  let leader = false;
+  let interval = null;
+
+  async function check() {
+    let acquired = false;
+    try {
+      acquired = await pubsub.acquireLock(name, ttl);
+    } catch (error) {
+      console.error(`Error renewing ${name} lock:`, error.message);
+    }
+
+    if (acquired && !leader) {
+      leader = true;
+      onElected();
+    } else if (!acquired && leader) {
+      leader = false;
+      onDeposed();
+    }
+  }
+
+  return {
+    // Resolves after the first attempt, so the caller knows whether it won
+    start() {
+      if (interval) return Promise.resolve();
+      interval = setInterval(check, Math.floor(ttl / 3));
+      interval.unref();
+      return check();
+    },
+
+    async stop() {
+      clearInterval(interval);
+      interval = null;
+      if (leader) {
+        leader = false;
+        onDeposed();
+        await pubsub.releaseLock(name);
+      }
+    },
+
+    isLeader: () => leader
+  };
+}
+
+module.exports = { createElection };
@@ -0,0 +1,33 @@
+// Pub/sub selection, for running more than one instance behind a load
+// balancer. Instances share client events, Socket.io broadcasts and the
+// choice of which one runs poll timers through the driver picked with
+// PUBSUB_DRIVER:
+//
+//   PUBSUB_DRIVER=memory  (default) a single instance
+//   PUBSUB_DRIVER=redis   instances share REDIS_URL (default redis://127.0.0.1:6379)
+//
+// Several instances also need shared state: use STORAGE_DRIVER=redis.
+const { v4: uuidv4 } = require('uuid');
+const { createMemoryPubSub } = require('./memory');
+const { createRedisPubSub } = require('./redis');
+
+function createPubSub(config = {}) {
+  const driver = config.driver || 'memory';
+  const instanceId = config.instanceId || uuidv4();
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryPubSub({ instanceId, bus: config.bus });
+    case 'redis':
+      return createRedisPubSub({ instanceId, url: config.url || 'redis://127.0.0.1:6379' });
+    default:
+      throw new Error(`Unknown pub/sub driver: ${driver}`);
+  }
+}
+
+const pubsub = createPubSub({
+  driver: process.env.PUBSUB_DRIVER,
+  url: process.env.REDIS_URL
+});
+
+module.exports = { pubsub, createPubSub };
@@ -0,0 +1,55 @@
+// In-process pub/sub driver, for a single instance (the default). Instances
+// created in the same process with a shared `bus` see each other's messages
+// and locks, which is enough to try out multi-instance behaviour locally.
+function createMemoryBus() {
+  return {
+    channels: new Map(), // channel -> Set of handlers
+    locks: new Map() // name -> { owner, expiresAt }
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryPubSub({ instanceId, bus = createMemoryBus() }) {
+  return {
+    instanceId,
+
+    // Handlers run synchronously, each with its own copy of the message, as
+    // if it had come over the wire
+    async publish(channel, message) {
+      (bus.channels.get(channel) || new Set()).forEach(handler => handler(clone(message)));
+    },
+
+    async subscribe(channel, handler) {
+      if (!bus.channels.has(channel)) {
+        bus.channels.set(channel, new Set());
+      }
+      bus.channels.get(channel).add(handler);
+
+      return () => bus.channels.get(channel).delete(handler);
+    },
+
+    // Take or renew a lock for `ttl` ms. Resolves true while this instance holds it.
+    async acquireLock(name, ttl) {
+      const lock = bus.locks.get(name);
+      if (lock && lock.owner !== instanceId && lock.expiresAt > Date.now()) {
+        return false;
+      }
+
+      bus.locks.set(name, { owner: instanceId, expiresAt: Date.now() + ttl });
+      return true;
+    },
+
+    async releaseLock(name) {
+      if (bus.locks.get(name)?.owner === instanceId) {
+        bus.locks.delete(name);
+      }
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createMemoryBus, createMemoryPubSub };
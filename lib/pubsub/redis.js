@@ -0,0 +1,77 @@
+// Redis pub/sub driver: works with Redis or anything that speaks its protocol
+// (Valkey, KeyDB, a local stand-in). Messages are JSON on Redis channels, and
+// locks are keys set with NX and an expiry, so a crashed owner's lock lapses.
+const { createRedisClient } = require('../redis');
+
+// Renew or release a lock only while this instance still owns it
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+function createRedisPubSub({ instanceId, url, prefix = 'live-polling:' }) {
+  // A subscribed connection cannot run other commands
+  const client = createRedisClient({ url });
+  const subscriber = createRedisClient({ url });
+  const handlers = new Map(); // channel -> Set of handlers
+
+  subscriber.on('message', (prefixedChannel, payload) => {
+    if (!prefixedChannel.startsWith(prefix)) return;
+    const channel = prefixedChannel.slice(prefix.length);
+
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      console.error(`Ignoring malformed message on ${channel}`);
+      return;
+    }
+
+    (handlers.get(channel) || new Set()).forEach(handler => handler(message));
+  });
+
+  const lockKey = name => `${prefix}lock:${name}`;
+
+  return {
+    instanceId,
+
+    async publish(channel, message) {
+      await client.publish(prefix + channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        await subscriber.subscribe(prefix + channel);
+      }
+      handlers.get(channel).add(handler);
+
+      return () => handlers.get(channel).delete(handler);
+    },
+
+    // Take or renew a lock for `ttl` ms. Resolves true while this instance holds it.
+    async acquireLock(name, ttl) {
+      if (await client.set(lockKey(name), instanceId, 'PX', ttl, 'NX') === 'OK') return true;
+
+      return await client.eval(RENEW_LOCK_SCRIPT, 1, lockKey(name), instanceId, ttl) === 1;
+    },
+
+    async releaseLock(name) {
+      await client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey(name), instanceId);
+    },
+
+    close() {
+      client.disconnect();
+      subscriber.disconnect();
+    }
+  };
+}
+
+module.exports = { createRedisPubSub };
@@ -0,0 +1,52 @@
+// Socket.io adapter over the pub/sub driver, so room broadcasts,
+// disconnectSockets() and fetchSockets() reach sockets on every instance.
+// socket.io-adapter's cluster adapter does the bookkeeping; this only moves
+// its messages. Payloads travel as JSON, so binary attachments are not
+// supported across instances.
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubsub, options) {
+    super(nsp, options);
+
+    this.pubsub = pubsub;
+    this.channel = `socket.io#${nsp.name}`;
+    this.subscriptions = [
+      pubsub.subscribe(this.channel, message => this.onMessage(message)),
+      pubsub.subscribe(this.responseChannel(this.uid), response => this.onResponse(response))
+    ];
+
+    // Announce this instance to the others and start the heartbeat
+    this.init();
+  }
+
+  responseChannel(uid) {
+    return `socket.io-response#${this.nsp.name}#${uid}`;
+  }
+
+  async doPublish(message) {
+    await this.pubsub.publish(this.channel, message);
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.pubsub.publish(this.responseChannel(requesterUid), response);
+  }
+
+  close() {
+    super.close();
+    this.subscriptions.forEach(subscription => subscription.then(unsubscribe => unsubscribe()));
+  }
+}
+
+// Pass to io.adapter(): createPubSubAdapter(pubsub[, { heartbeatInterval, heartbeatTimeout }]).
+// Socket.io constructs the adapter itself, so this returns a class.
+function createPubSubAdapter(pubsub, options = {}) {
+  return class extends PubSubAdapter {
+    constructor(nsp) {
+      super(nsp, pubsub, options);
+    }
+  };
+}
+
+module.exports = { createPubSubAdapter };
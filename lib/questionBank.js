@@ -0,0 +1,316 @@
+// Question bank: each teacher's saved questions, tagged and searchable, to be
+// reused across sessions. A bank question holds the same fields as a poll
+// create request, so launching one creates a poll in the teacher's current
+// session from it. File formats are in lib/questionFormats.js.
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./storage');
+const engine = require('./engine');
+const { configureQuestion } = require('./questionTypes');
+const { checkRecordPermission } = require('./permissions');
+const { QUESTION_FORMATS, parseQuestions, serializeQuestions } = require('./questionFormats');
+
+const MAX_QUESTIONS_PER_TEACHER = 2000;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_IMPORT_SIZE = 1024 * 1024; // characters
+
+// Tags are matched case-insensitively, so they are stored in lower case.
+// Accepts an array or a comma-separated string.
+function cleanTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+
+  if (!Array.isArray(list) || !list.every(tag => typeof tag === 'string')) {
+    return { error: 'Tags must be a list of text' };
+  }
+
+  const cleaned = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+  if (cleaned.length > MAX_TAGS) {
+    return { error: `A question can have at most ${MAX_TAGS} tags` };
+  }
+  if (cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+
+  return { tags: cleaned };
+}
+
+// Validate a question's text, type, duration and tags plus its
+// type-specific fields. Returns the fields to store, or { error }.
+function configureBankQuestion(body) {
+  const { question, type = 'single', duration = 60, tags = [] } = body;
+
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    return { error: 'Question is required' };
+  }
+  if (question.trim().length > MAX_QUESTION_LENGTH) {
+    return { error: `Questions must be at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const questionConfig = configureQuestion(type, body);
+  if (questionConfig.error) {
+    return { error: questionConfig.error };
+  }
+
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds)) {
+    return { error: 'Duration must be a number of seconds' };
+  }
+
+  const cleaned = cleanTags(tags);
+  if (cleaned.error) {
+    return { error: cleaned.error };
+  }
+
+  return {
+    question: question.trim(),
+    type,
+    ...questionConfig,
+    duration: Math.min(Math.max(seconds, 10), 300), // Between 10-300 seconds, as for polls
+    tags: cleaned.tags
+  };
+}
+
+function newBankQuestion(teacherId, fields) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    ...fields,
+    teacherId,
+    timesUsed: 0,
+    lastUsedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+async function checkCapacity(teacherId, adding) {
+  const existing = await store.listBankQuestions({ teacherId });
+  if (existing.length + adding > MAX_QUESTIONS_PER_TEACHER) {
+    return { status: 409, error: `Your question bank can hold at most ${MAX_QUESTIONS_PER_TEACHER} questions` };
+  }
+  return {};
+}
+
+async function getOwnedQuestion(questionId, teacherId) {
+  const question = await store.getBankQuestion(questionId);
+
+  if (!question) {
+    return { status: 404, error: 'Question not found' };
+  }
+
+  if (question.teacherId !== teacherId) {
+    return { status: 403, error: 'You can only use your own bank questions' };
+  }
+
+  return { question };
+}
+
+// Questions
+
+async function createQuestion(teacherId, body) {
+  const fields = configureBankQuestion(body);
+  if (fields.error) {
+    return { status: 400, error: fields.error };
+  }
+
+  const { status, error } = await checkCapacity(teacherId, 1);
+  if (error) return { status, error };
+
+  const question = newBankQuestion(teacherId, fields);
+  await store.saveBankQuestion(question);
+
+  return { question };
+}
+
+// Save a poll the teacher has run (or prepared) in a session they host to the bank
+async function saveFromPoll(teacherId, pollId, { tags = [] } = {}) {
+  const poll = await store.getPoll(pollId);
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const denied = await checkRecordPermission(poll, teacherId, 'results.view');
+  if (denied) return denied;
+
+  return createQuestion(teacherId, { ...poll, tags });
+}
+
+async function getQuestion(questionId, teacherId) {
+  return getOwnedQuestion(questionId, teacherId);
+}
+
+// Change any of a question's fields; the result is validated as a whole
+async function updateQuestion(questionId, teacherId, updates) {
+  const { question, status, error } = await getOwnedQuestion(questionId, teacherId);
+  if (error) return { status, error };
+
+  const fields = configureBankQuestion({ ...question, ...updates });
+  if (fields.error) {
+    return { status: 400, error: fields.error };
+  }
+
+  const updated = {
+    id: question.id,
+    ...fields,
+    teacherId,
+    timesUsed: question.timesUsed,
+    lastUsedAt: question.lastUsedAt,
+    createdAt: question.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  await store.saveBankQuestion(updated);
+  return { question: updated };
+}
+
+async function deleteQuestion(questionId, teacherId) {
+  const { status, error } = await getOwnedQuestion(questionId, teacherId);
+  if (error) return { status, error };
+
+  await store.deleteBankQuestion(questionId);
+  return {};
+}
+
+// Search
+
+// A teacher's questions, most recently changed first. `q` matches the
+// question text, options and tags; every tag in `tags` must be present.
+async function searchQuestions(teacherId, { q, tags, type } = {}) {
+  const { tags: requiredTags = [] } = cleanTags(tags || []);
+  const terms = typeof q === 'string' ? q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+  const questions = await store.listBankQuestions({ teacherId });
+
+  return questions
+    .filter(question => !type || question.type === type)
+    .filter(question => requiredTags.every(tag => question.tags.includes(tag)))
+    .filter(question => {
+      const text = [question.question, ...question.options, ...question.tags].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Every tag in a teacher's bank with its number of questions
+async function listTags(teacherId) {
+  const counts = {};
+  (await store.listBankQuestions({ teacherId })).forEach(question => {
+    question.tags.forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Launch
+
+// Create a poll from a bank question in the teacher's session, with an
+// optional duration, reveal policy and answer changing for this run, and
+// start it right away when `start` is set.
+// Returns { poll, question } or { status, error }.
+async function launchQuestion(user, questionId, { duration, reveal, allowAnswerChange, start = false } = {}) {
+  const { question, status, error } = await getOwnedQuestion(questionId, user.id);
+  if (error) return { status, error };
+
+  const body = { ...question, reveal, allowAnswerChange };
+  if (duration !== undefined) body.duration = duration;
+
+  const created = await engine.createPoll(user, body);
+  if (created.error) return created;
+
+  let { poll } = created;
+  if (start) {
+    const started = await engine.startPoll(poll.id, user.id);
+    if (started.error) return started;
+    poll = started.poll;
+  }
+
+  question.timesUsed = (question.timesUsed || 0) + 1;
+  question.lastUsedAt = new Date().toISOString();
+  await store.saveBankQuestion(question);
+
+  return { poll, question };
+}
+
+// Import and export
+
+// Add questions from a file. Every question that can be read and validated
+// is imported; the rest are reported as { line, error }. With `dryRun` the
+// file is only checked. `tags` are added to every imported question.
+async function importQuestions(teacherId, { format, content, tags = [], dryRun = false }) {
+  if (!QUESTION_FORMATS.includes(format)) {
+    return { status: 400, error: `Format must be one of: ${QUESTION_FORMATS.join(', ')}` };
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { status: 400, error: 'File content is required' };
+  }
+  if (content.length > MAX_IMPORT_SIZE) {
+    return { status: 400, error: 'File is too large to import' };
+  }
+
+  const extraTags = cleanTags(tags);
+  if (extraTags.error) {
+    return { status: 400, error: extraTags.error };
+  }
+
+  const parsed = parseQuestions(format, content);
+  const errors = [...parsed.errors];
+  const valid = [];
+
+  parsed.questions.forEach(({ line, body }) => {
+    const fields = configureBankQuestion({ ...body, tags: [...(body.tags || []), ...extraTags.tags] });
+    if (fields.error) {
+      errors.push({ line, error: fields.error });
+    } else {
+      valid.push(newBankQuestion(teacherId, fields));
+    }
+  });
+
+  errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+  if (valid.length === 0) {
+    return { status: 400, error: 'No questions could be imported', errors };
+  }
+
+  if (!dryRun) {
+    const { status, error } = await checkCapacity(teacherId, valid.length);
+    if (error) return { status, error, errors };
+
+    for (const question of valid) {
+      await store.saveBankQuestion(question);
+    }
+  }
+
+  return { questions: valid, errors, dryRun: Boolean(dryRun) };
+}
+
+// The teacher's questions (optionally filtered as in searchQuestions) as a
+// file. Returns { content, skipped } or { status, error }.
+async function exportQuestions(teacherId, { format = 'json', ...filters } = {}) {
+  if (!QUESTION_FORMATS.includes(format)) {
+    return { status: 400, error: `Format must be one of: ${QUESTION_FORMATS.join(', ')}` };
+  }
+
+  const questions = await searchQuestions(teacherId, filters);
+  return serializeQuestions(format, questions);
+}
+
+module.exports = {
+  QUESTION_FORMATS,
+  createQuestion,
+  saveFromPoll,
+  getQuestion,
+  updateQuestion,
+  deleteQuestion,
+  searchQuestions,
+  listTags,
+  launchQuestion,
+  importQuestions,
+  exportQuestions
+};
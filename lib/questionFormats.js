@@ -0,0 +1,686 @@
+// Import and export formats for the question bank: JSON, CSV and the Moodle
+// GIFT and Aiken text formats. Parsers turn a file into poll create bodies
+// with the line each question starts on, and report what they cannot read
+// as { line, error } instead of giving up on the whole file. Serializers
+// return the file text plus the ids of questions the format cannot express
+// (Aiken only has single choice questions, for example).
+const { toCsv } = require('./export');
+
+const QUESTION_FORMATS = ['json', 'csv', 'gift', 'aiken'];
+
+// File extension and content type of each format, for downloads
+const FILE_TYPES = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  gift: { extension: 'gift.txt', contentType: 'text/plain' },
+  aiken: { extension: 'aiken.txt', contentType: 'text/plain' }
+};
+
+// Fields of a bank question that make up a poll create body
+const QUESTION_FIELDS = [
+  'question', 'type', 'options', 'correctAnswer', 'correctAnswers',
+  'acceptedAnswers', 'correctValue', 'tolerance', 'graded', 'duration', 'tags'
+];
+
+function splitLines(content) {
+  return content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+}
+
+function pick(question) {
+  const body = {};
+  QUESTION_FIELDS.forEach(field => {
+    if (question[field] !== undefined) body[field] = question[field];
+  });
+  return body;
+}
+
+// JSON: an array of questions in the API's own shape, or { questions: [...] }
+
+// The line each element of the questions array starts on, found by scanning
+// the text since JSON.parse does not report positions
+function findItemLines(content, depth) {
+  const lines = [];
+  let level = 0;
+  let line = 1;
+  let inString = false;
+  let escaped = false;
+  let expectItem = false;
+
+  for (const char of content) {
+    if (char === '\n') line++;
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (expectItem && level === depth && !/\s/.test(char) && char !== ']') {
+      lines.push(line);
+      expectItem = false;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      level++;
+      if (char === '[' && level === depth) expectItem = true;
+    } else if (char === ']' || char === '}') {
+      level--;
+    } else if (char === ',' && level === depth) {
+      expectItem = true;
+    }
+  }
+
+  return lines;
+}
+
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    const position = /at position (\d+)/.exec(error.message);
+    const line = position ? content.slice(0, Number(position[1])).split('\n').length : 1;
+    return { questions: [], errors: [{ line, error: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const wrapped = !Array.isArray(data);
+  const items = wrapped ? data?.questions : data;
+  if (!Array.isArray(items)) {
+    return { questions: [], errors: [{ line: 1, error: 'Expected an array of questions or { "questions": [...] }' }] };
+  }
+
+  const lines = findItemLines(content, wrapped ? 2 : 1);
+  const questions = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const line = lines[index] ?? null;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ line, error: `Question ${index + 1} must be an object` });
+      return;
+    }
+    questions.push({ line, body: pick(item) });
+  });
+
+  return { questions, errors };
+}
+
+function serializeJson(questions) {
+  const content = JSON.stringify(questions.map(pick), null, 2) + '\n';
+  return { content, skipped: [] };
+}
+
+// CSV: one question per row with a header row. Options, choice answers,
+// accepted answers and tags are separated by `|`; the answer column holds
+// option text rather than indexes so the file stays readable.
+
+const CSV_COLUMNS = ['question', 'type', 'options', 'answer', 'tolerance', 'graded', 'duration', 'tags']
+  .map(key => ({ key, header: key }));
+
+// RFC 4180 records, each with the line it starts on (quoted cells may span lines)
+function parseCsvRecords(content) {
+  const records = [];
+  const text = content.replace(/^\uFEFF/, '');
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  return { records, unterminated: inQuotes ? recordLine : null };
+}
+
+// Undo the quote export.js puts in front of formula-like cells
+function csvValue(cell) {
+  const value = (cell || '').trim();
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+function splitList(value) {
+  return value ? value.split('|').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function csvRowToQuestion(row) {
+  const type = (row.type || 'single').toLowerCase();
+  const body = { question: row.question, type };
+  const answers = splitList(row.answer);
+
+  if (row.duration) body.duration = Number(row.duration);
+  if (row.tags) body.tags = splitList(row.tags);
+
+  if (type === 'single' || type === 'multiple') {
+    body.options = splitList(row.options);
+
+    const indexes = [];
+    for (const answer of answers) {
+      const index = body.options.indexOf(answer);
+      if (index === -1) {
+        return { error: `Answer "${answer}" is not one of the options` };
+      }
+      indexes.push(index);
+    }
+
+    if (type === 'single' && indexes.length > 1) {
+      return { error: 'Single choice questions have one answer; use type multiple for more' };
+    }
+    if (type === 'single') body.correctAnswer = indexes[0];
+    if (type === 'multiple') body.correctAnswers = indexes;
+    body.graded = indexes.length > 0;
+  } else if (type === 'text') {
+    body.acceptedAnswers = answers;
+  } else if (type === 'numeric') {
+    body.correctValue = row.answer || null;
+    if (row.tolerance) body.tolerance = row.tolerance;
+  }
+
+  if (row.graded) {
+    body.graded = !['false', 'no', '0'].includes(row.graded.toLowerCase());
+  }
+
+  return { body };
+}
+
+function parseCsv(content) {
+  const { records, unterminated } = parseCsvRecords(content);
+  const nonEmpty = records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+  const errors = [];
+  const questions = [];
+
+  if (nonEmpty.length === 0) {
+    return { questions, errors: [{ line: 1, error: 'The file is empty' }] };
+  }
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.cells.map(cell => csvValue(cell).toLowerCase());
+  if (!columns.includes('question')) {
+    return { questions, errors: [{ line: header.line, error: 'The header row needs a "question" column' }] };
+  }
+
+  rows.forEach(({ line, cells }) => {
+    if (unterminated !== null && line >= unterminated) {
+      errors.push({ line, error: 'Unterminated quoted cell' });
+      return;
+    }
+
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = csvValue(cells[index]);
+    });
+
+    const { body, error } = csvRowToQuestion(row);
+    if (error) {
+      errors.push({ line, error });
+      return;
+    }
+    questions.push({ line, body });
+  });
+
+  return { questions, errors };
+}
+
+function questionToCsvRow(question) {
+  const row = {
+    question: question.question,
+    type: question.type,
+    options: (question.options || []).join('|'),
+    answer: '',
+    tolerance: '',
+    graded: question.graded ? 'true' : 'false',
+    duration: question.duration,
+    tags: (question.tags || []).join('|')
+  };
+
+  if (question.graded) {
+    switch (question.type) {
+      case 'single':
+        row.answer = question.options[question.correctAnswer];
+        break;
+      case 'multiple':
+        row.answer = question.correctAnswers.map(index => question.options[index]).join('|');
+        break;
+      case 'text':
+        row.answer = question.acceptedAnswers.join('|');
+        break;
+      case 'numeric':
+        row.answer = question.correctValue ?? '';
+        row.tolerance = question.tolerance || '';
+        break;
+    }
+  }
+
+  return row;
+}
+
+function serializeCsv(questions) {
+  return { content: toCsv(questions.map(questionToCsvRow), CSV_COLUMNS), skipped: [] };
+}
+
+// GIFT (Moodle): questions separated by blank lines, each with its answers in
+// braces. Supported: multiple choice ({=right ~wrong}, with %weights% for
+// several right answers), true/false ({T}), short answer ({=a =b}), numeric
+// ({#3.14:0.01} or {#1..5}), essay ({}) and missing word, where the answers
+// sit in the middle of the text. $CATEGORY lines become a tag on the
+// questions that follow. Matching questions have no poll equivalent.
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+function giftEscape(text) {
+  return String(text).replace(GIFT_SPECIAL, '\\$&').replace(/\n/g, '\\n');
+}
+
+function giftUnescape(text) {
+  return text.replace(/\\([~=#{}:\\n])/g, (match, char) => char === 'n' ? '\n' : char).trim();
+}
+
+// Split at unescaped `chars`, remembering which character started each part
+function giftSplit(text, chars) {
+  const parts = [{ marker: null, text: '' }];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      parts[parts.length - 1].text += char + text[index + 1];
+      index++;
+    } else if (chars.includes(char)) {
+      parts.push({ marker: char, text: '' });
+    } else {
+      parts[parts.length - 1].text += char;
+    }
+  }
+
+  return parts;
+}
+
+// One answer: optional %weight%, text, optional #feedback (dropped)
+function parseGiftAnswer(raw) {
+  const [{ text }] = giftSplit(raw, '#');
+  const weight = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+
+  return {
+    weight: weight ? Number(weight[1]) : null,
+    text: giftUnescape(weight ? text.slice(weight[0].length) : text)
+  };
+}
+
+function parseGiftNumeric(answers) {
+  const parts = giftSplit(answers, '=');
+  const candidates = (parts.length > 1 ? parts.slice(1) : parts)
+    .map(part => parseGiftAnswer(part.text))
+    .filter(answer => answer.text);
+  const best = candidates.find(answer => answer.weight === null || answer.weight === 100) || candidates[0];
+
+  if (!best) return { error: 'Numeric answer is missing' };
+
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(best.text);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return { body: { type: 'numeric', correctValue: (min + max) / 2, tolerance: (max - min) / 2 } };
+  }
+
+  const [value, tolerance = '0'] = best.text.split(':').map(part => part.trim());
+  if (!Number.isFinite(Number(value)) || !Number.isFinite(Number(tolerance))) {
+    return { error: `"${best.text}" is not a number` };
+  }
+  return { body: { type: 'numeric', correctValue: Number(value), tolerance: Math.abs(Number(tolerance)) } };
+}
+
+function parseGiftAnswers(raw) {
+  const answers = raw.trim();
+
+  if (answers === '') {
+    return { body: { type: 'text', graded: false } };
+  }
+
+  const trueFalse = /^(T|TRUE|F|FALSE)\b/i.exec(answers);
+  if (trueFalse && /^(T|TRUE|F|FALSE)(\s*#.*)?$/is.test(answers)) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    return { body: { type: 'single', options: ['True', 'False'], correctAnswer: isTrue ? 0 : 1 } };
+  }
+
+  if (answers.startsWith('#')) {
+    return parseGiftNumeric(answers.slice(1));
+  }
+
+  if (/(^|[^\\])->/.test(answers)) {
+    return { error: 'Matching questions are not supported' };
+  }
+
+  const parts = giftSplit(answers, '=~');
+  if (parts[0].text.trim() !== '') {
+    return { error: 'Answers must start with = or ~' };
+  }
+
+  const choices = parts.slice(1).map(part => ({ ...parseGiftAnswer(part.text), marker: part.marker }));
+  if (choices.some(choice => !choice.text)) {
+    return { error: 'Empty answer in answer block' };
+  }
+
+  // Only = answers: short answer, graded against the full-credit ones
+  if (choices.every(choice => choice.marker === '=')) {
+    const accepted = choices.filter(choice => choice.weight === null || choice.weight === 100);
+    return { body: { type: 'text', acceptedAnswers: accepted.map(choice => choice.text) } };
+  }
+
+  const options = choices.map(choice => choice.text);
+  const correct = choices
+    .map((choice, index) => (choice.marker === '=' || choice.weight > 0) ? index : -1)
+    .filter(index => index !== -1);
+
+  if (correct.length === 0) {
+    return { body: { type: 'single', options, graded: false } };
+  }
+  if (correct.length === 1) {
+    return { body: { type: 'single', options, correctAnswer: correct[0] } };
+  }
+  return { body: { type: 'multiple', options, correctAnswers: correct } };
+}
+
+function parseGiftQuestion(text) {
+  // ::Title:: and [html]/[markdown]/[plain]/[moodle] markers are not kept
+  const withoutTitle = text.replace(/^::(.*?)::/s, '').replace(/^\s*\[(html|markdown|plain|moodle)\]/i, '');
+  const parts = giftSplit(withoutTitle, '{}');
+
+  if (parts.length === 1) {
+    return { error: 'No answer block in braces (descriptions are not supported)' };
+  }
+  if (parts.length !== 3 || parts[1].marker !== '{' || parts[2].marker !== '}') {
+    return { error: 'Unbalanced braces around the answer block' };
+  }
+
+  const before = giftUnescape(parts[0].text);
+  const after = giftUnescape(parts[2].text);
+  const question = after ? `${before} _____ ${after}`.trim() : before;
+
+  if (!question) {
+    return { error: 'Question text is missing' };
+  }
+
+  const { body, error } = parseGiftAnswers(parts[1].text);
+  if (error) return { error };
+
+  return { body: { question, ...body } };
+}
+
+function parseGift(content) {
+  const questions = [];
+  const errors = [];
+  let category = null;
+  let block = null; // { line, lines }
+
+  function finishBlock() {
+    if (!block) return;
+
+    const { body, error } = parseGiftQuestion(block.lines.join('\n'));
+    if (error) {
+      errors.push({ line: block.line, error });
+    } else {
+      if (category) body.tags = [category];
+      questions.push({ line: block.line, body });
+    }
+    block = null;
+  }
+
+  splitLines(content).forEach((text, index) => {
+    const line = index + 1;
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('//')) return;
+
+    if (trimmed === '') {
+      finishBlock();
+      return;
+    }
+
+    const categoryMatch = /^\$CATEGORY:\s*(.*)$/i.exec(trimmed);
+    if (categoryMatch) {
+      finishBlock();
+      const segments = categoryMatch[1].split('/').map(segment => segment.trim())
+        .filter(segment => segment && !/^\$\w+\$$/.test(segment) && segment.toLowerCase() !== 'top');
+      category = segments.length > 0 ? segments[segments.length - 1] : null;
+      return;
+    }
+
+    if (!block) block = { line, lines: [] };
+    block.lines.push(text);
+  });
+
+  finishBlock();
+
+  return { questions, errors };
+}
+
+function questionToGift(question) {
+  const options = question.options || [];
+  let answers;
+
+  switch (question.type) {
+    case 'single':
+      answers = options.map((option, index) =>
+        `${question.graded && index === question.correctAnswer ? '=' : '~'}${giftEscape(option)}`);
+      break;
+
+    case 'multiple': {
+      // Ungraded multiple choice would come back as single choice
+      if (!question.graded) return null;
+      const weight = Math.round(100 / question.correctAnswers.length * 100000) / 100000;
+      answers = options.map((option, index) =>
+        `~%${question.correctAnswers.includes(index) ? weight : -100}%${giftEscape(option)}`);
+      break;
+    }
+
+    case 'text':
+      answers = question.graded ? question.acceptedAnswers.map(answer => `=${giftEscape(answer)}`) : [];
+      break;
+
+    case 'numeric':
+      if (!question.graded || question.correctValue === null) return null;
+      answers = [`#${question.correctValue}${question.tolerance ? `:${question.tolerance}` : ''}`];
+      break;
+
+    default:
+      return null;
+  }
+
+  const block = answers.length > 1
+    ? `{\n${answers.map(answer => `\t${answer}`).join('\n')}\n}`
+    : `{${answers.join('')}}`;
+
+  return `${giftEscape(question.question)} ${block}`;
+}
+
+function serializeGift(questions) {
+  const blocks = [];
+  const skipped = [];
+
+  questions.forEach(question => {
+    const gift = questionToGift(question);
+    if (gift) {
+      blocks.push(gift);
+    } else {
+      skipped.push(question.id);
+      blocks.push(`// Skipped ${question.type} question "${question.question.replace(/\s+/g, ' ')}": GIFT cannot express it`);
+    }
+  });
+
+  return { content: blocks.join('\n\n') + '\n', skipped };
+}
+
+// Aiken (Moodle): single choice only. The question on one line, options
+// "A. text" or "A) text", then "ANSWER: A"; blank lines between questions.
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.+)$/;
+const AIKEN_ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+const AIKEN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function parseAiken(content) {
+  const questions = [];
+  const errors = [];
+  let current = null; // { line, question, letters, options }
+  let skipping = false;
+
+  splitLines(content).forEach((text, index) => {
+    const line = index + 1;
+    const trimmed = text.trim();
+
+    if (trimmed === '') {
+      // Options followed by a blank line: the ANSWER line never came
+      if (current && current.options.length > 0) {
+        errors.push({ line: current.line, error: 'Missing "ANSWER:" line' });
+        current = null;
+      }
+      skipping = false;
+      return;
+    }
+    if (skipping) return;
+
+    const answer = AIKEN_ANSWER.exec(trimmed);
+    const option = AIKEN_OPTION.exec(trimmed);
+
+    if (!current) {
+      if (answer || option) {
+        errors.push({ line, error: 'Expected question text before options and ANSWER' });
+        skipping = !answer;
+        return;
+      }
+      current = { line, question: trimmed, letters: [], options: [] };
+      return;
+    }
+
+    if (answer) {
+      const letter = answer[1].toUpperCase();
+      const correctAnswer = current.letters.indexOf(letter);
+
+      if (current.options.length < 2) {
+        errors.push({ line: current.line, error: 'A question needs at least 2 options' });
+      } else if (correctAnswer === -1) {
+        errors.push({ line, error: `ANSWER ${letter} does not match any option` });
+      } else {
+        questions.push({
+          line: current.line,
+          body: { question: current.question, type: 'single', options: current.options, correctAnswer }
+        });
+      }
+      current = null;
+      return;
+    }
+
+    if (option) {
+      current.letters.push(option[1]);
+      current.options.push(option[2].trim());
+      return;
+    }
+
+    if (current.options.length === 0) {
+      // Question text wrapped over several lines
+      current.question += ` ${trimmed}`;
+      return;
+    }
+
+    errors.push({ line, error: 'Expected an option like "A. text" or an "ANSWER: A" line' });
+    current = null;
+    skipping = true;
+  });
+
+  if (current) {
+    errors.push({ line: current.line, error: 'Missing "ANSWER:" line' });
+  }
+
+  return { questions, errors };
+}
+
+function questionToAiken(question) {
+  if (question.type !== 'single' || !question.graded || question.options.length > AIKEN_LETTERS.length) {
+    return null;
+  }
+
+  const oneLine = text => String(text).replace(/\s+/g, ' ').trim();
+  return [
+    oneLine(question.question),
+    ...question.options.map((option, index) => `${AIKEN_LETTERS[index]}. ${oneLine(option)}`),
+    `ANSWER: ${AIKEN_LETTERS[question.correctAnswer]}`
+  ].join('\n');
+}
+
+function serializeAiken(questions) {
+  const blocks = [];
+  const skipped = [];
+
+  questions.forEach(question => {
+    const aiken = questionToAiken(question);
+    if (aiken) {
+      blocks.push(aiken);
+    } else {
+      skipped.push(question.id);
+    }
+  });
+
+  return { content: blocks.length > 0 ? blocks.join('\n\n') + '\n' : '', skipped };
+}
+
+const formats = {
+  json: { parse: parseJson, serialize: serializeJson },
+  csv: { parse: parseCsv, serialize: serializeCsv },
+  gift: { parse: parseGift, serialize: serializeGift },
+  aiken: { parse: parseAiken, serialize: serializeAiken }
+};
+
+// Read `content` in `format`. Returns { questions: [{ line, body }], errors:
+// [{ line, error }] }; bodies still need validating as questions.
+function parseQuestions(format, content) {
+  return formats[format].parse(content);
+}
+
+// Write bank questions in `format`. Returns { content, skipped } where
+// `skipped` lists the ids of questions the format cannot express.
+function serializeQuestions(format, questions) {
+  return formats[format].serialize(questions);
+}
+
+module.exports = {
+  QUESTION_FORMATS,
+  FILE_TYPES,
+  parseQuestions,
+  serializeQuestions
+};
@@ -0,0 +1,587 @@
+// Question types supported by polls. Each type knows how to validate its
+// configuration when a poll is created, validate a student's answer, keep
+// live results in poll.results and build the final results when it ends.
+// Polls created with `graded: false` (survey mode) have no correct answer at
+// all, and report only the distribution of answers.
+const TEXT_MAX_LENGTH = 500;
+const WORD_MAX_LENGTH = 40;
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+// How sure a student is of their answer, optionally sent with it
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+function cleanOptions(options) {
+  if (!Array.isArray(options)) return [];
+  return options
+    .filter(opt => typeof opt === 'string')
+    .map(opt => opt.trim())
+    .filter(opt => opt.length > 0);
+}
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+// Results, distributions and word counts are keyed by text teachers and
+// students type, and come back from the store as plain objects. Read and
+// write them as own properties only, so that an option or word such as
+// "__proto__" or "constructor" is just another key.
+function getEntry(map, key) {
+  return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+}
+
+function setEntry(map, key, value) {
+  Object.defineProperty(map, key, { value, writable: true, enumerable: true, configurable: true });
+  return value;
+}
+
+function optionResults(options) {
+  const results = {};
+  options.forEach(option => {
+    setEntry(results, option, { count: 0, participants: [] });
+  });
+  return results;
+}
+
+// Count a student's answer for one option
+function addParticipant(results, option, participant) {
+  const entry = getEntry(results, option) || setEntry(results, option, { count: 0, participants: [] });
+  entry.count++;
+  entry.participants.push(participant);
+}
+
+// Take a student back out of one option's results
+function removeParticipant(entry, studentId) {
+  if (!entry) return;
+  entry.count = Math.max(0, entry.count - 1);
+  entry.participants = entry.participants.filter(participant => participant.studentId !== studentId);
+}
+
+function countResponses(poll) {
+  return Object.keys(poll.responses || {}).length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// The index of the option an answer key names: by its index (a number, or
+// a string of digits), or by the option's text. null when it names none.
+function resolveOption(options, value) {
+  const index = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  if (Number.isInteger(index) && index >= 0 && index < options.length) return index;
+
+  if (typeof value !== 'string') return null;
+  const position = options.indexOf(value.trim());
+  return position === -1 ? null : position;
+}
+
+function normalizeText(text) {
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+const types = {
+  // One option out of several, with one correct option
+  single: {
+    configure({ options, correctAnswer = 0 }, { graded }) {
+      const cleaned = cleanOptions(options);
+      if (cleaned.length < 2) {
+        return { error: 'Question and at least 2 options are required' };
+      }
+      if (!graded) return { options: cleaned };
+
+      const index = resolveOption(cleaned, correctAnswer);
+      if (index === null) {
+        return { error: 'Correct answer must be the index or text of one of the options' };
+      }
+
+      return { options: cleaned, correctAnswer: index };
+    },
+
+    initResults: poll => optionResults(poll.options),
+
+    parseAnswer(poll, answer) {
+      if (!poll.options.includes(answer)) return { error: 'Invalid option selected' };
+      return { value: answer };
+    },
+
+    isGradable: () => true,
+
+    isCorrect: (poll, value) => poll.options[poll.correctAnswer] === value,
+
+    record(poll, value, participant) {
+      addParticipant(poll.results, value, participant);
+    },
+
+    unrecord(poll, value, studentId) {
+      removeParticipant(getEntry(poll.results, value), studentId);
+    },
+
+    finalResults(poll) {
+      const total = countResponses(poll);
+      const finalResults = {};
+
+      poll.options.forEach((option, index) => {
+        const count = getEntry(poll.results, option)?.count || 0;
+        setEntry(finalResults, option, {
+          count,
+          percentage: percentage(count, total),
+          ...(isGraded(poll) && { isCorrect: index === poll.correctAnswer })
+        });
+      });
+
+      return finalResults;
+    },
+
+    correctAnswer: poll => poll.options[poll.correctAnswer]
+  },
+
+  // Any number of options, correct only when exactly the correct set is chosen
+  multiple: {
+    configure({ options, correctAnswers, correctAnswer }, { graded }) {
+      const cleaned = cleanOptions(options);
+      if (cleaned.length < 2) {
+        return { error: 'Question and at least 2 options are required' };
+      }
+      if (!graded) return { options: cleaned };
+
+      const requested = Array.isArray(correctAnswers) ? correctAnswers : [correctAnswer ?? 0];
+      if (requested.length === 0) {
+        return { error: 'At least one correct answer is required' };
+      }
+
+      const resolved = requested.map(value => resolveOption(cleaned, value));
+      if (resolved.includes(null)) {
+        return { error: 'Correct answers must be indexes or texts of the options' };
+      }
+      const indexes = [...new Set(resolved)].sort((a, b) => a - b);
+
+      return { options: cleaned, correctAnswers: indexes };
+    },
+
+    initResults: poll => optionResults(poll.options),
+
+    parseAnswer(poll, answer) {
+      if (!Array.isArray(answer) || answer.length === 0) {
+        return { error: 'Select at least one option' };
+      }
+
+      const selected = [...new Set(answer)];
+      if (!selected.every(option => poll.options.includes(option))) {
+        return { error: 'Invalid option selected' };
+      }
+
+      // Keep the options in the order the teacher wrote them
+      return { value: poll.options.filter(option => selected.includes(option)) };
+    },
+
+    isGradable: () => true,
+
+    isCorrect(poll, value) {
+      const correct = poll.correctAnswers.map(index => poll.options[index]);
+      return value.length === correct.length && value.every(option => correct.includes(option));
+    },
+
+    record(poll, value, participant) {
+      value.forEach(option => addParticipant(poll.results, option, participant));
+    },
+
+    unrecord(poll, value, studentId) {
+      value.forEach(option => removeParticipant(getEntry(poll.results, option), studentId));
+    },
+
+    finalResults(poll) {
+      const total = countResponses(poll);
+      const finalResults = {};
+
+      // Percentages are of respondents, so they can add up to more than 100
+      poll.options.forEach((option, index) => {
+        const count = getEntry(poll.results, option)?.count || 0;
+        setEntry(finalResults, option, {
+          count,
+          percentage: percentage(count, total),
+          ...(isGraded(poll) && { isCorrect: poll.correctAnswers.includes(index) })
+        });
+      });
+
+      return finalResults;
+    },
+
+    correctAnswer: poll => poll.correctAnswers.map(index => poll.options[index])
+  },
+
+  // Short free-text answer, optionally graded against accepted answers
+  text: {
+    configure({ acceptedAnswers }, { graded }) {
+      return { options: [], acceptedAnswers: graded ? cleanOptions(acceptedAnswers) : [] };
+    },
+
+    initResults: () => ({ count: 0, answers: [] }),
+
+    parseAnswer(poll, answer) {
+      if (typeof answer !== 'string' || answer.trim().length === 0) {
+        return { error: 'An answer is required' };
+      }
+      if (answer.trim().length > TEXT_MAX_LENGTH) {
+        return { error: `Answers must be at most ${TEXT_MAX_LENGTH} characters` };
+      }
+      return { value: answer.trim() };
+    },
+
+    isGradable: poll => (poll.acceptedAnswers || []).length > 0,
+
+    isCorrect: (poll, value) => poll.acceptedAnswers
+      .some(accepted => normalizeText(accepted) === normalizeText(value)),
+
+    record(poll, value, participant) {
+      poll.results.count++;
+      poll.results.answers.push({ ...participant, text: value });
+    },
+
+    unrecord(poll, value, studentId) {
+      poll.results.count = Math.max(0, poll.results.count - 1);
+      poll.results.answers = poll.results.answers.filter(answer => answer.studentId !== studentId);
+    },
+
+    finalResults(poll) {
+      return {
+        count: poll.results.count,
+        answers: isGraded(poll)
+          ? poll.results.answers.map(answer => ({
+            ...answer,
+            isCorrect: poll.responses[answer.studentId]?.isCorrect ?? null
+          }))
+          : poll.results.answers
+      };
+    },
+
+    correctAnswer: poll => poll.acceptedAnswers
+  },
+
+  // A number, correct when within `tolerance` of `correctValue`
+  numeric: {
+    configure({ correctValue, tolerance = 0 }, { graded }) {
+      if (!graded) return { options: [], correctValue: null };
+
+      const hasCorrectValue = correctValue !== undefined && correctValue !== null && correctValue !== '';
+      const value = Number(correctValue);
+      const range = Number(tolerance);
+
+      if (hasCorrectValue && !Number.isFinite(value)) {
+        return { error: 'Correct value must be a number' };
+      }
+      if (!Number.isFinite(range) || range < 0) {
+        return { error: 'Tolerance must be a non-negative number' };
+      }
+
+      return {
+        options: [],
+        correctValue: hasCorrectValue ? value : null,
+        tolerance: range
+      };
+    },
+
+    initResults: () => ({ count: 0, values: [] }),
+
+    parseAnswer(poll, answer) {
+      const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'Answer must be a number' };
+      }
+      return { value };
+    },
+
+    isGradable: poll => poll.correctValue !== null && poll.correctValue !== undefined,
+
+    // The epsilon keeps answers exactly on the edge of the range correct
+    isCorrect: (poll, value) => Math.abs(value - poll.correctValue) <= poll.tolerance + 1e-9,
+
+    record(poll, value, participant) {
+      poll.results.count++;
+      poll.results.values.push({ ...participant, value });
+    },
+
+    unrecord(poll, value, studentId) {
+      poll.results.count = Math.max(0, poll.results.count - 1);
+      poll.results.values = poll.results.values.filter(entry => entry.studentId !== studentId);
+    },
+
+    finalResults(poll) {
+      const values = poll.results.values.map(entry => entry.value);
+      const distribution = {};
+      values.forEach(value => {
+        setEntry(distribution, value, (getEntry(distribution, value) || 0) + 1);
+      });
+
+      return {
+        count: values.length,
+        mean: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        median: median(values),
+        min: values.length > 0 ? Math.min(...values) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        distribution
+      };
+    },
+
+    correctAnswer: poll => ({ value: poll.correctValue, tolerance: poll.tolerance })
+  },
+
+  // 1-5 rating scale
+  rating: {
+    configure() {
+      const options = [];
+      for (let rating = RATING_MIN; rating <= RATING_MAX; rating++) {
+        options.push(String(rating));
+      }
+      return { options };
+    },
+
+    initResults: poll => optionResults(poll.options),
+
+    parseAnswer(poll, answer) {
+      const value = Number(answer);
+      if (!Number.isInteger(value) || value < RATING_MIN || value > RATING_MAX) {
+        return { error: `Rating must be a whole number from ${RATING_MIN} to ${RATING_MAX}` };
+      }
+      return { value };
+    },
+
+    isGradable: () => false,
+
+    record(poll, value, participant) {
+      addParticipant(poll.results, String(value), participant);
+    },
+
+    unrecord(poll, value, studentId) {
+      removeParticipant(getEntry(poll.results, String(value)), studentId);
+    },
+
+    finalResults(poll) {
+      const total = countResponses(poll);
+      const finalResults = {};
+
+      poll.options.forEach(option => {
+        const count = getEntry(poll.results, option)?.count || 0;
+        setEntry(finalResults, option, { count, percentage: percentage(count, total) });
+      });
+
+      return finalResults;
+    },
+
+    summary(poll) {
+      const ratings = Object.values(poll.responses).map(response => response.selectedOption);
+      const average = ratings.length > 0
+        ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+        : null;
+      return { averageRating: average };
+    }
+  },
+
+  // One word or short phrase per student, grouped case-insensitively
+  wordcloud: {
+    configure() {
+      return { options: [] };
+    },
+
+    initResults: () => ({ count: 0, words: {} }),
+
+    parseAnswer(poll, answer) {
+      if (typeof answer !== 'string' || answer.trim().length === 0) {
+        return { error: 'A word is required' };
+      }
+      if (answer.trim().length > WORD_MAX_LENGTH) {
+        return { error: `Words must be at most ${WORD_MAX_LENGTH} characters` };
+      }
+      return { value: answer.trim() };
+    },
+
+    isGradable: () => false,
+
+    record(poll, value) {
+      const word = normalizeText(value);
+      poll.results.count++;
+      setEntry(poll.results.words, word, (getEntry(poll.results.words, word) || 0) + 1);
+    },
+
+    unrecord(poll, value) {
+      const word = normalizeText(value);
+      poll.results.count = Math.max(0, poll.results.count - 1);
+      const count = (getEntry(poll.results.words, word) || 1) - 1;
+      if (count === 0) {
+        delete poll.results.words[word];
+      } else {
+        setEntry(poll.results.words, word, count);
+      }
+    },
+
+    finalResults(poll) {
+      const total = poll.results.count;
+      return {
+        count: total,
+        words: Object.entries(poll.results.words)
+          .map(([word, count]) => ({ word, count, percentage: percentage(count, total) }))
+          .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+      };
+    },
+
+    summary: poll => ({ uniqueWords: Object.keys(poll.results.words).length })
+  }
+};
+
+const QUESTION_TYPES = Object.keys(types);
+
+// Polls created before question types existed are single-choice
+function getQuestionType(poll) {
+  return types[poll.type || 'single'];
+}
+
+// Polls created before survey mode existed are graded when their type allows it
+function isGraded(poll) {
+  return poll.graded !== false && getQuestionType(poll).isGradable(poll);
+}
+
+// Validate the type-specific fields of a new poll.
+// Returns the fields to store on the poll, or { error }.
+function configureQuestion(type, body) {
+  if (!types[type]) {
+    return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  const requestedGraded = body.graded !== false && body.graded !== 'false';
+  const config = types[type].configure(body, { graded: requestedGraded });
+  if (config.error) return config;
+
+  // Text and numeric questions without an answer key are ungraded, as are
+  // rating and word cloud questions
+  return { ...config, graded: requestedGraded && types[type].isGradable(config) };
+}
+
+// The fields that reveal a poll's correct answer, empty for ungraded polls
+function getAnswerKey(poll) {
+  if (!isGraded(poll)) return {};
+
+  const fields = ['correctAnswer', 'correctAnswers', 'acceptedAnswers', 'correctValue', 'tolerance'];
+  const answerKey = {};
+  fields.forEach(field => {
+    if (poll[field] !== undefined) answerKey[field] = poll[field];
+  });
+  return answerKey;
+}
+
+// Validate a student's answer. Returns { value, isCorrect } or { error }.
+function evaluateAnswer(poll, answer) {
+  const questionType = getQuestionType(poll);
+  const { value, error } = questionType.parseAnswer(poll, answer);
+  if (error) return { error };
+
+  return {
+    value,
+    isCorrect: isGraded(poll) ? questionType.isCorrect(poll, value) : null
+  };
+}
+
+function recordAnswer(poll, value, participant) {
+  getQuestionType(poll).record(poll, value, participant);
+}
+
+// Remove a student's earlier answer from the live results, before recording
+// the one they changed it to
+function unrecordAnswer(poll, value, studentId) {
+  getQuestionType(poll).unrecord(poll, value, studentId);
+}
+
+function initResults(poll) {
+  return getQuestionType(poll).initResults(poll);
+}
+
+function getCorrectAnswer(poll) {
+  return isGraded(poll) ? getQuestionType(poll).correctAnswer(poll) : null;
+}
+
+function countConfidence(responses) {
+  const counts = { low: 0, medium: 0, high: 0, unspecified: 0 };
+  responses.forEach(response => {
+    counts[response.confidence || 'unspecified']++;
+  });
+  return counts;
+}
+
+// Confidence levels overall, per option (for option-based questions) and,
+// on graded polls, for correct and incorrect answers. Null when no student
+// gave one.
+function summarizeConfidence(poll, responses) {
+  if (!responses.some(response => response.confidence)) return null;
+
+  const confidence = { overall: countConfidence(responses) };
+
+  if (Array.isArray(poll.options) && poll.options.length > 0) {
+    confidence.byOption = {};
+    poll.options.forEach(option => {
+      setEntry(confidence.byOption, option, countConfidence(responses.filter(response =>
+        [].concat(response.selectedOption).map(String).includes(option))));
+    });
+  }
+
+  if (isGraded(poll)) {
+    confidence.byCorrectness = {
+      correct: countConfidence(responses.filter(response => response.isCorrect)),
+      incorrect: countConfidence(responses.filter(response => !response.isCorrect))
+    };
+  }
+
+  return confidence;
+}
+
+// Final results and summary for a poll that has ended
+function summarizePoll(poll) {
+  const questionType = getQuestionType(poll);
+  const responses = Object.values(poll.responses || {});
+  const totalResponses = responses.length;
+  const summary = { totalResponses };
+
+  // Add correct/incorrect summary for questions that have a right answer
+  if (isGraded(poll)) {
+    const correctResponses = responses.filter(response => response.isCorrect).length;
+    const correctPercentage = percentage(correctResponses, totalResponses);
+
+    Object.assign(summary, {
+      correctResponses,
+      incorrectResponses: totalResponses - correctResponses,
+      correctPercentage,
+      incorrectPercentage: 100 - correctPercentage,
+      correctAnswer: questionType.correctAnswer(poll)
+    });
+  }
+
+  const confidence = summarizeConfidence(poll, responses);
+  if (confidence) {
+    summary.confidence = confidence;
+  }
+
+  return {
+    finalResults: questionType.finalResults(poll),
+    summary: {
+      ...summary,
+      ...(questionType.summary ? questionType.summary(poll) : {})
+    }
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  CONFIDENCE_LEVELS,
+  isGraded,
+  configureQuestion,
+  getAnswerKey,
+  evaluateAnswer,
+  recordAnswer,
+  unrecordAnswer,
+  initResults,
+  getCorrectAnswer,
+  setEntry,
+  summarizePoll
+};
@@ -0,0 +1,124 @@
+// Quiz sets: a list of polls prepared ahead of time and run back to back.
+// The summary is built from each poll's own `responses` and `summary`.
+const { isGraded } = require('./questionTypes');
+
+const MAX_QUESTIONS = 50;
+const DEFAULT_ADVANCE_DELAY = 5; // seconds between questions when auto-advancing
+const MAX_ADVANCE_DELAY = 120;
+
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+// Validate the quiz-level settings of a create request. Returns the
+// settings to store on the quiz, or { error }.
+function configureQuiz({ title, questions, autoAdvance = false, advanceDelay = DEFAULT_ADVANCE_DELAY }) {
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return { error: 'Quiz title is required' };
+  }
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'A quiz needs at least one question' };
+  }
+
+  if (questions.length > MAX_QUESTIONS) {
+    return { error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const delay = Number(advanceDelay);
+  if (!Number.isFinite(delay) || delay < 0 || delay > MAX_ADVANCE_DELAY) {
+    return { error: `Advance delay must be between 0 and ${MAX_ADVANCE_DELAY} seconds` };
+  }
+
+  return {
+    title: title.trim(),
+    autoAdvance: Boolean(autoAdvance),
+    advanceDelay: delay
+  };
+}
+
+function createQuizResponse(quiz) {
+  if (!quiz) return null;
+
+  return {
+    id: quiz.id,
+    title: quiz.title,
+    status: quiz.status,
+    autoAdvance: quiz.autoAdvance,
+    advanceDelay: quiz.advanceDelay,
+    totalQuestions: quiz.pollIds.length,
+    currentIndex: quiz.currentIndex,
+    currentPollId: quiz.currentIndex >= 0 ? quiz.pollIds[quiz.currentIndex] : null,
+    teacherId: quiz.teacherId,
+    createdBy: quiz.createdBy || null,
+    sessionCode: quiz.sessionCode,
+    createdAt: quiz.createdAt,
+    startedAt: quiz.startedAt,
+    completedAt: quiz.completedAt
+  };
+}
+
+// Combined results for a quiz, with per-question summaries and per-student
+// totals. `polls` must be in quiz order.
+function buildQuizSummary(quiz, polls) {
+  const askedPolls = polls.filter(poll => poll.startTime);
+  const gradedPolls = askedPolls.filter(isGraded);
+  const students = new Map();
+
+  const questions = polls.map((poll, index) => ({
+    index,
+    pollId: poll.id,
+    question: poll.question,
+    type: poll.type || 'single',
+    graded: isGraded(poll),
+    asked: Boolean(poll.startTime),
+    summary: poll.summary || null
+  }));
+
+  askedPolls.forEach(poll => {
+    Object.values(poll.responses || {}).forEach(response => {
+      if (!students.has(response.studentId)) {
+        students.set(response.studentId, {
+          studentId: response.studentId,
+          studentName: response.studentName,
+          answered: 0,
+          correct: 0
+        });
+      }
+
+      const totals = students.get(response.studentId);
+      totals.answered++;
+      if (response.isCorrect) {
+        totals.correct++;
+      }
+    });
+  });
+
+  // Unanswered graded questions count against the score
+  const studentTotals = Array.from(students.values())
+    .map(totals => ({ ...totals, score: percentage(totals.correct, gradedPolls.length) }))
+    .sort((a, b) => b.correct - a.correct || a.studentName.localeCompare(b.studentName));
+
+  const gradedSummaries = gradedPolls.map(poll => poll.summary).filter(Boolean);
+  const averageCorrectPercentage = gradedSummaries.length > 0
+    ? Math.round(gradedSummaries.reduce((sum, summary) => sum + (summary.correctPercentage || 0), 0) / gradedSummaries.length)
+    : null;
+
+  return {
+    quizId: quiz.id,
+    title: quiz.title,
+    totalQuestions: polls.length,
+    questionsAsked: askedPolls.length,
+    gradedQuestions: gradedPolls.length,
+    averageCorrectPercentage,
+    questions,
+    students: studentTotals
+  };
+}
+
+module.exports = {
+  MAX_QUESTIONS,
+  configureQuiz,
+  createQuizResponse,
+  buildQuizSummary
+};
@@ -0,0 +1,114 @@
+// Flood protection. Socket events are limited with a token bucket per socket
+// and event type; HTTP requests are limited per teacher or student instead of
+// per IP, so a classroom behind one school NAT does not share a single limit.
+const rateLimit = require('express-rate-limit');
+const { verifyToken } = require('./auth');
+const { ERROR_CODES } = require('./schemas');
+
+// Bucket size (burst) and refill rate for each socket event; events not
+// listed use `default`
+const SOCKET_EVENT_LIMITS = {
+  default: { capacity: 20, refillPerSecond: 5 },
+  sendMessage: { capacity: 5, refillPerSecond: 1 },
+  joinTeacher: { capacity: 3, refillPerSecond: 0.2 },
+  joinParticipant: { capacity: 3, refillPerSecond: 0.2 },
+  syncTime: { capacity: 10, refillPerSecond: 2 }
+};
+
+// A socket throttled this many times within the window is disconnected
+const MAX_THROTTLE_STRIKES = 20;
+const STRIKE_WINDOW = 60 * 1000;
+
+// Token buckets for one socket, one per event type. `take(event)` spends a
+// token and returns { allowed, retryAfter, abusive }: `retryAfter` is the
+// seconds until a token is available, and `abusive` is set once the socket
+// keeps going past its limits.
+function createSocketRateLimiter(limits = SOCKET_EVENT_LIMITS) {
+  const buckets = new Map();
+  let strikes = [];
+
+  function getBucket(event) {
+    if (!buckets.has(event)) {
+      const { capacity } = limits[event] || limits.default;
+      buckets.set(event, { tokens: capacity, updatedAt: Date.now() });
+    }
+    return buckets.get(event);
+  }
+
+  function take(event) {
+    const { capacity, refillPerSecond } = limits[event] || limits.default;
+    const bucket = getBucket(event);
+    const now = Date.now();
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true };
+    }
+
+    strikes = strikes.filter(time => now - time < STRIKE_WINDOW);
+    strikes.push(now);
+
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((1 - bucket.tokens) / refillPerSecond),
+      abusive: strikes.length >= MAX_THROTTLE_STRIKES
+    };
+  }
+
+  return { take };
+}
+
+// Anonymous requests that look up a session or join it as a student. A whole
+// lecture hall does this at once from one school NAT address, so they get a
+// bucket of their own, sized for a large class, instead of sharing the IP's.
+// It stays per IP rather than per session code so that guessing codes is
+// still limited.
+function isJoinRequest(req) {
+  const path = `${req.baseUrl}${req.path}`;
+  return (req.method === 'GET' && /^\/api\/session\/[^/]+$/.test(path))
+    || (req.method === 'POST' && path === '/api/participant/join');
+}
+
+// The identity an HTTP request is limited under: the token's user when there
+// is one (header or ?token= for event streams), otherwise the client IP
+function getRateLimitKey(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, bearer] = header.split(' ');
+  const user = verifyToken(scheme === 'Bearer' ? bearer : req.query.token);
+
+  if (user) return `${user.role}:${user.id}`;
+  return isJoinRequest(req) ? `join:${req.ip}` : `ip:${req.ip}`;
+}
+
+// Express middleware limiting each teacher or student (or anonymous IP) per
+// 15 minutes. Over the limit, requests get a 429 with a Retry-After header.
+// Joining takes two requests per student (look up the session, then join).
+function createHttpRateLimiter({
+  windowMs = 15 * 60 * 1000,
+  maxPerUser = 300,
+  maxPerIp = 100,
+  maxJoinsPerIp = 2000
+} = {}) {
+  const limits = { join: maxJoinsPerIp, ip: maxPerIp };
+
+  return rateLimit({
+    windowMs,
+    max: req => limits[getRateLimitKey(req).split(':')[0]] || maxPerUser,
+    keyGenerator: getRateLimitKey,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: 'Too many requests, please try again later.',
+      code: ERROR_CODES.RATE_LIMITED
+    }
+  });
+}
+
+module.exports = {
+  SOCKET_EVENT_LIMITS,
+  createSocketRateLimiter,
+  createHttpRateLimiter
+};
@@ -0,0 +1,18 @@
+// Redis connections for the redis storage and pub/sub drivers. They go
+// through ioredis, which works with Redis or anything that speaks its
+// protocol (Valkey, KeyDB), reconnects with a backoff, queues commands while
+// it does and restores subscriptions afterwards.
+const Redis = require('ioredis');
+
+// redis://[:password@]host[:port][/db]
+function createRedisClient({ url = 'redis://127.0.0.1:6379' } = {}) {
+  const client = new Redis(url);
+
+  client.on('error', error => {
+    console.error(`Redis connection error (${client.options.host}:${client.options.port}):`, error.message);
+  });
+
+  return client;
+}
+
+module.exports = { createRedisClient };
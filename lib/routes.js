@@ -0,0 +1,1433 @@
+// REST API shared by both deployments. Routes check the caller's token and
+// hand the work to the engine; anything that changes state is announced to
+// clients by the engine's domain events, not here.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./storage');
+const engine = require('./engine');
+const { isGraded, getAnswerKey } = require('./questionTypes');
+const { createQuizResponse, buildQuizSummary } = require('./quiz');
+const { getScoringSettings, buildLeaderboard } = require('./scoring');
+const { getChatSettings, getPublicChatSettings } = require('./chat');
+const { EXPORT_FORMATS, sendExport } = require('./export');
+const { socketEvents, rest, ERROR_CODES, validateBody } = require('./schemas');
+const {
+  createPollResponse,
+  createStudentPollResponse,
+  createResponseLookup,
+  isAnswerRevealed
+} = require('./serializers');
+const {
+  getSession,
+  listParticipants,
+  createSessionResponse
+} = require('./sessions');
+const {
+  issueToken,
+  optionalAuth,
+  requireAuth,
+  requireStreamAuth
+} = require('./auth');
+const { rooms, roomsFor } = require('./broadcasts');
+const webhooks = require('./webhooks');
+const questionBank = require('./questionBank');
+const { FILE_TYPES } = require('./questionFormats');
+const { getPermissions, checkStaff, checkPermission, checkRecordPermission } = require('./permissions');
+
+const { getCurrentPoll } = engine;
+
+// Students may only read their own responses; hosts who can view results may
+// read any in their session's polls
+async function canViewResponse(user, poll, userId) {
+  if (user.role === 'teacher') return !(await checkRecordPermission(poll, user.id, 'results.view'));
+  return user.id === userId && user.sessionCode === poll.sessionCode;
+}
+
+// A teacher token only counts while its holder is one of the session's hosts.
+// Returns null, or { status, error } for a teacher who has been removed.
+function checkHost(user, session) {
+  return user.role === 'teacher' && session ? checkStaff(session, user.id) : null;
+}
+
+// Check the ?format= of an export request, defaulting to CSV
+function getExportFormat(req) {
+  const format = (req.query.format || 'csv').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+const pollControlMessages = {
+  end: 'Poll ended successfully',
+  pause: 'Poll paused successfully',
+  resume: 'Poll resumed successfully',
+  extend: 'Poll extended successfully'
+};
+
+// `eventStream` serves the same client events as Socket.io over SSE and
+// long-polling; see lib/eventStream.js
+function createApiRouter({ eventStream }) {
+  const router = express.Router();
+
+  // Health check endpoint
+  router.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  });
+
+  // The payload contracts for socket events and REST bodies (see lib/schemas.js)
+  router.get('/api/schemas', (req, res) => {
+    res.json({ socketEvents, rest, errorCodes: Object.values(ERROR_CODES) });
+  });
+
+  // Server-Sent Events stream of the caller's session events. A student's
+  // open stream counts as being connected, like a socket. A teacher removed
+  // from the staff is sent `removedFromStaff` and then disconnected, as their
+  // sockets are; reconnecting is refused by the host check.
+  router.get('/api/events', requireStreamAuth, async (req, res) => {
+    try {
+      const user = req.user;
+      let onClose;
+
+      const denied = checkHost(user, await getSession(user.sessionCode));
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      if (user.role === 'student') {
+        const { error } = await engine.connectParticipant(user);
+        if (error) {
+          return res.status(403).json({ error });
+        }
+
+        const studentRoom = rooms.student(user.sessionCode, user.id);
+        onClose = () => {
+          if (eventStream.hasStream([studentRoom])) return;
+          engine.disconnectParticipant(user.sessionCode, user.id).catch(error => {
+            console.error('Error disconnecting participant:', error);
+          });
+        };
+      }
+
+      const closeOn = user.role === 'teacher' ? ['removedFromStaff'] : [];
+      await eventStream.streamHandler(req, res, { rooms: roomsFor(user), onClose, closeOn });
+
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Long-poll alternative: GET /api/events/poll?since=<lastEventId>
+  router.get('/api/events/poll', requireStreamAuth, async (req, res) => {
+    try {
+      const denied = checkHost(req.user, await getSession(req.user.sessionCode));
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      await eventStream.longPollHandler(req, res, { rooms: roomsFor(req.user) });
+
+    } catch (error) {
+      console.error('Error long-polling events:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Open a classroom session and get its join code (Teacher only)
+  // A teacher who already holds a token keeps their teacher ID across sessions
+  router.post('/api/session/create', optionalAuth, async (req, res) => {
+    try {
+      const { teacherName } = req.body;
+
+      if (!teacherName || typeof teacherName !== 'string') {
+        return res.status(400).json({
+          error: 'Teacher name is required'
+        });
+      }
+
+      const teacherId = req.user?.role === 'teacher' ? req.user.id : uuidv4();
+      const session = await engine.createSession({ teacherId, teacherName: teacherName.trim() });
+      const token = issueToken({
+        id: teacherId,
+        name: session.teacherName,
+        role: 'teacher',
+        sessionCode: session.code
+      });
+
+      res.status(201).json({
+        session: createSessionResponse(session, await getCurrentPoll(session)),
+        teacher: { id: teacherId, name: session.teacherName },
+        token,
+        message: 'Session created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Look up a session by join code
+  router.get('/api/session/:code', async (req, res) => {
+    try {
+      const session = await getSession(req.params.code);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ session: createSessionResponse(session, await getCurrentPoll(session)) });
+
+    } catch (error) {
+      console.error('Error fetching session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Close a session (Teacher only)
+  router.post('/api/session/:code/close', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await engine.closeSession(req.params.code, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ message: 'Session closed successfully' });
+
+    } catch (error) {
+      console.error('Error closing session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update how polls in a session are scored (Teacher only)
+  router.post('/api/session/:code/scoring', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { scoring, status, error } = await engine.updateScoring(req.params.code, req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ scoring, message: 'Scoring updated successfully' });
+
+    } catch (error) {
+      console.error('Error updating scoring:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Students kicked from the session whose bans are still in force (Teacher only)
+  router.get('/api/session/:code/bans', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { bans, status, error } = await engine.listSessionBans(req.user.id, req.params.code);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ bans });
+
+    } catch (error) {
+      console.error('Error listing bans:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Kick a student, for `duration` seconds or until reinstated (Teacher only)
+  router.post('/api/session/:code/bans', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { studentId, reason, duration } = req.body;
+
+      if (typeof studentId !== 'string' || !studentId) {
+        return res.status(400).json({ error: 'Student ID is required' });
+      }
+
+      const { ban, status, error } = await engine.kickParticipant(req.user.id, req.params.code, studentId, { reason, duration });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ ban, message: 'Student removed successfully' });
+
+    } catch (error) {
+      console.error('Error kicking participant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Lift a ban so the student can join again (Teacher only)
+  router.delete('/api/session/:code/bans/:studentId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await engine.reinstateParticipant(req.user.id, req.params.code, req.params.studentId);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ studentId: req.params.studentId, message: 'Student reinstated successfully' });
+
+    } catch (error) {
+      console.error('Error reinstating participant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update the session's chat rules: maxLength, slowModeSeconds,
+  // lockDuringPoll and wordFilter (Teacher only)
+  router.post('/api/session/:code/chat', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { chat, status, error } = await engine.updateChatSettings(req.params.code, req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ chat, message: 'Chat settings updated successfully' });
+
+    } catch (error) {
+      console.error('Error updating chat settings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Staff (Teacher only): co-hosts and TAs, see lib/permissions.js
+
+  // The session's owner and staff, with open invitations for the owner
+  router.get('/api/session/:code/staff', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { staff, invitations, status, error } = await engine.getSessionStaff(req.user.id, req.params.code);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ staff, invitations });
+
+    } catch (error) {
+      console.error('Error listing staff:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Invite a teacher to the staff: { role, expiresIn?, maxUses? }
+  router.post('/api/session/:code/staff/invitations', requireAuth('teacher'), validateBody('POST /api/session/:code/staff/invitations'), async (req, res) => {
+    try {
+      const { invitation, status, error } = await engine.createStaffInvitation(req.user.id, req.params.code, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ invitation, message: 'Invitation created successfully' });
+
+    } catch (error) {
+      console.error('Error creating staff invitation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/api/session/:code/staff/invitations/:inviteCode', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await engine.revokeStaffInvitation(req.user.id, req.params.code, req.params.inviteCode);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ message: 'Invitation revoked successfully' });
+
+    } catch (error) {
+      console.error('Error revoking staff invitation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Change a staff member's role: { role }
+  router.post('/api/session/:code/staff/:staffId', requireAuth('teacher'), validateBody('POST /api/session/:code/staff/:staffId'), async (req, res) => {
+    try {
+      const { member, status, error } = await engine.updateStaffRole(req.user.id, req.params.code, req.params.staffId, req.body.role);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        member: { ...member, permissions: getPermissions(member.role) },
+        message: 'Staff role updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating staff role:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove a staff member, or leave the staff when it is the caller
+  router.delete('/api/session/:code/staff/:staffId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await engine.removeStaff(req.user.id, req.params.code, req.params.staffId);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ staffId: req.params.staffId, message: 'Staff member removed successfully' });
+
+    } catch (error) {
+      console.error('Error removing staff member:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Join a session's staff with an invitation code: { sessionCode, inviteCode, teacherName }
+  // A teacher who already holds a token keeps their teacher ID
+  router.post('/api/staff/join', optionalAuth, validateBody('POST /api/staff/join'), async (req, res) => {
+    try {
+      const { session, member, status, error } = await engine.joinStaff(req.user, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      const token = issueToken({
+        id: member.id,
+        name: member.name,
+        role: 'teacher',
+        sessionCode: session.code
+      });
+
+      res.json({
+        message: 'Successfully joined the session staff',
+        member: { ...member, permissions: getPermissions(member.role) },
+        session: createSessionResponse(session, await getCurrentPoll(session)),
+        token
+      });
+
+    } catch (error) {
+      console.error('Error joining session staff:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get the session leaderboard, optionally only the top N (?limit=N)
+  router.get('/api/leaderboard', requireAuth(), async (req, res) => {
+    try {
+      const session = await getSession(req.user.sessionCode);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const denied = checkHost(req.user, session);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      const requested = parseInt(req.query.limit, 10);
+      let limit = Number.isInteger(requested) && requested > 0 ? requested : null;
+
+      // Students never see past the size the teacher has allowed
+      const { leaderboardSize } = getScoringSettings(session);
+      if (req.user.role !== 'teacher' && leaderboardSize) {
+        limit = limit ? Math.min(limit, leaderboardSize) : leaderboardSize;
+      }
+
+      res.json({
+        leaderboard: buildLeaderboard(session, {
+          limit,
+          studentId: req.user.role === 'student' ? req.user.id : null
+        }),
+        scoring: getScoringSettings(session)
+      });
+
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get current poll status
+  router.get('/api/poll/current', requireAuth(), async (req, res) => {
+    try {
+      const session = await getSession(req.user.sessionCode);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const denied = checkHost(req.user, session);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      const currentPoll = await getCurrentPoll(session);
+
+      if (!currentPoll) {
+        return res.json({ poll: null, message: 'No active poll' });
+      }
+
+      res.json({
+        poll: req.user.role === 'teacher'
+          ? createPollResponse(currentPoll)
+          : createStudentPollResponse(currentPoll, req.user.id),
+        participants: listParticipants(session),
+        chatMessages: session.chatMessages
+      });
+
+    } catch (error) {
+      console.error('Error fetching current poll:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get poll history (Teacher only): the teacher's own polls, or with
+  // ?sessionCode= one session's polls for any host who can view its results.
+  // /api/polls/history is the path older serverless clients used.
+  router.get(['/api/poll/history', '/api/polls/history'], requireAuth('teacher'), async (req, res) => {
+    try {
+      const { sessionCode } = req.query;
+      let teacherHistory;
+
+      if (sessionCode) {
+        const { polls, status, error } = await engine.listSessionHistory(String(sessionCode).trim().toUpperCase(), req.user.id);
+
+        if (error) {
+          return res.status(status).json({ error });
+        }
+
+        teacherHistory = polls;
+      } else {
+        teacherHistory = await store.listHistory({ teacherId: req.user.id });
+      }
+
+      // Transform the data for frontend display
+      const formattedHistory = teacherHistory.map(poll => ({
+        id: poll.id,
+        question: poll.question,
+        type: poll.type || 'single',
+        graded: isGraded(poll),
+        options: poll.options,
+        sessionCode: poll.sessionCode,
+        results: poll.finalResults || poll.results,
+        summary: poll.summary,
+        totalVotes: poll.summary?.totalResponses || 0,
+        ...getAnswerKey(poll),
+        createdAt: poll.createdAt,
+        endTime: poll.endTime
+      }));
+
+      res.json({
+        history: formattedHistory,
+        total: formattedHistory.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching poll history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Participation, response times and option velocity for one poll (Teacher only)
+  router.get('/api/poll/:pollId/analytics', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { analytics, status, error } = await engine.getPollAnalytics(req.params.pollId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ analytics });
+    } catch (error) {
+      console.error('Error getting poll analytics:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Trends over a session's ended polls (Teacher only)
+  router.get('/api/session/:code/analytics', requireAuth('teacher'), async (req, res) => {
+    try {
+      const sessionCode = req.params.code.trim().toUpperCase();
+      const { analytics, status, error } = await engine.getSessionAnalytics(sessionCode, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ analytics });
+    } catch (error) {
+      console.error('Error getting session analytics:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Export one poll's responses and results (Teacher only)
+  router.get('/api/export/poll/:pollId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const format = getExportFormat(req);
+      if (!format) {
+        return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+      }
+
+      const poll = await store.getPoll(req.params.pollId);
+
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+
+      const denied = await checkRecordPermission(poll, req.user.id, 'results.view');
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      await sendExport(res, {
+        format,
+        sheet: req.query.sheet,
+        filename: `poll-${poll.id}`,
+        polls: [poll],
+        meta: { pollId: poll.id }
+      });
+
+    } catch (error) {
+      console.error('Error exporting poll:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Export every finished poll of one session (Teacher only)
+  router.get('/api/export/session/:code', requireAuth('teacher'), async (req, res) => {
+    try {
+      const format = getExportFormat(req);
+      if (!format) {
+        return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+      }
+
+      const sessionCode = req.params.code.trim().toUpperCase();
+      const { polls, status, error } = await engine.listSessionHistory(sessionCode, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      await sendExport(res, {
+        format,
+        sheet: req.query.sheet,
+        filename: `session-${sessionCode}`,
+        polls,
+        meta: { sessionCode }
+      });
+
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Export the teacher's full poll history (Teacher only)
+  router.get('/api/export/history', requireAuth('teacher'), async (req, res) => {
+    try {
+      const format = getExportFormat(req);
+      if (!format) {
+        return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+      }
+
+      const polls = await store.listHistory({ teacherId: req.user.id });
+
+      await sendExport(res, {
+        format,
+        sheet: req.query.sheet,
+        filename: 'poll-history',
+        polls,
+        meta: { teacherId: req.user.id, teacherName: req.user.name }
+      });
+
+    } catch (error) {
+      console.error('Error exporting poll history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get user response for a specific poll
+  router.get('/api/poll/:pollId/response/:userId', requireAuth(), async (req, res) => {
+    try {
+      const { pollId, userId } = req.params;
+
+      const poll = await store.getPoll(pollId);
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+
+      if (!(await canViewResponse(req.user, poll, userId))) {
+        return res.status(403).json({ error: 'You are not allowed to view this response' });
+      }
+
+      const userResponse = poll.responses[userId];
+      if (!userResponse) {
+        return res.json({ hasResponded: false, response: null });
+      }
+
+      res.json(createResponseLookup(poll, userResponse, req.user.role));
+
+    } catch (error) {
+      console.error('Error fetching user response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a new poll (Teacher only)
+  router.post('/api/poll/create', requireAuth('teacher'), validateBody('POST /api/poll/create'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.createPoll(req.user, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({
+        poll: createPollResponse(poll),
+        message: poll.scheduledAt ? 'Poll scheduled successfully' : 'Poll created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating poll:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Start a poll (Teacher only)
+  router.post('/api/poll/:pollId/start', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.startPoll(req.params.pollId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: 'Poll started successfully'
+      });
+
+    } catch (error) {
+      console.error('Error starting poll:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // The session's scheduled polls, soonest first (Teacher only)
+  router.get('/api/poll/scheduled', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { polls, status, error } = await engine.listScheduledPolls(req.user.id, req.user.sessionCode);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        polls: polls.map(createPollResponse),
+        total: polls.length
+      });
+
+    } catch (error) {
+      console.error('Error listing scheduled polls:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Schedule a poll to start automatically, or move its start time (Teacher only)
+  router.post('/api/poll/:pollId/schedule', requireAuth('teacher'), validateBody('POST /api/poll/:pollId/schedule'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.scheduleControls.reschedule(req.params.pollId, req.user.id, req.body.scheduledAt);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: 'Poll scheduled successfully'
+      });
+
+    } catch (error) {
+      console.error('Error scheduling poll:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Cancel a poll's schedule; the poll stays and can still be started by hand (Teacher only)
+  router.delete('/api/poll/:pollId/schedule', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.scheduleControls.cancel(req.params.pollId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: 'Poll schedule cancelled successfully'
+      });
+
+    } catch (error) {
+      console.error('Error cancelling poll schedule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // End early, pause, resume or extend a running poll (Teacher only)
+  router.post('/api/poll/:pollId/:action(end|pause|resume|extend)', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { pollId, action } = req.params;
+      const { poll, status, error } = await engine.pollControls[action](pollId, req.user.id, req.body.seconds);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: pollControlMessages[action]
+      });
+
+    } catch (error) {
+      console.error(`Error handling poll ${req.params.action}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Reveal a poll's correct answer to students (Teacher only)
+  router.post('/api/poll/:pollId/reveal', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.revealAnswer(req.params.pollId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: 'Answer revealed successfully'
+      });
+
+    } catch (error) {
+      console.error('Error revealing answer:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Set whether students see live results, when they see the answer and
+  // whether results show names (Teacher only)
+  router.post('/api/poll/:pollId/reveal-policy', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { poll, status, error } = await engine.updateRevealPolicy(req.params.pollId, req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        poll: createPollResponse(poll),
+        message: 'Reveal policy updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating reveal policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a quiz set of questions to run back to back (Teacher only)
+  router.post('/api/quiz/create', requireAuth('teacher'), validateBody('POST /api/quiz/create'), async (req, res) => {
+    try {
+      const { quiz, polls, status, error } = await engine.createQuiz(req.user, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({
+        quiz: createQuizResponse(quiz),
+        polls: polls.map(createPollResponse),
+        message: 'Quiz created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating quiz:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List the quizzes in the teacher's current session (Teacher only)
+  router.get('/api/quizzes', requireAuth('teacher'), async (req, res) => {
+    try {
+      const session = await getSession(req.user.sessionCode);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const denied = checkPermission(session, req.user.id, 'results.view');
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      const quizzes = await store.listQuizzes({ sessionCode: session.code });
+
+      res.json({
+        quizzes: quizzes.map(createQuizResponse),
+        total: quizzes.length
+      });
+
+    } catch (error) {
+      console.error('Error listing quizzes:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get a quiz with its questions (Teacher only)
+  router.get('/api/quiz/:quizId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { quiz, status, error } = await engine.getOwnedQuiz(req.params.quizId, req.user.id, 'results.view');
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        quiz: createQuizResponse(quiz),
+        polls: (await engine.getQuizPolls(quiz)).map(createPollResponse)
+      });
+
+    } catch (error) {
+      console.error('Error fetching quiz:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Combined quiz summary and per-student totals (Teacher only)
+  router.get('/api/quiz/:quizId/summary', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { quiz, status, error } = await engine.getOwnedQuiz(req.params.quizId, req.user.id, 'results.view');
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        quiz: createQuizResponse(quiz),
+        summary: quiz.summary || buildQuizSummary(quiz, await engine.getQuizPolls(quiz))
+      });
+
+    } catch (error) {
+      console.error('Error fetching quiz summary:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Start a quiz or move on to its next question (Teacher only)
+  router.post('/api/quiz/:quizId/:action(start|next)', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { quizId, action } = req.params;
+      const { quiz, status, error } = await engine.quizControls[action](quizId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({
+        quiz: createQuizResponse(quiz),
+        message: action === 'start' ? 'Quiz started successfully' : 'Moved to the next question'
+      });
+
+    } catch (error) {
+      console.error(`Error handling quiz ${req.params.action}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Submit response to poll (Student only)
+  router.post('/api/poll/:pollId/response', requireAuth('student'), validateBody('POST /api/poll/:pollId/response'), async (req, res) => {
+    try {
+      // `selectedOption` is kept for single-choice clients; other types send `answer`
+      const { answer = req.body.selectedOption, confidence } = req.body;
+      const { poll, response, changed, status, error } = await engine.submitResponse(
+        req.user, req.params.pollId, answer, { confidence });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      // Correctness waits until the answer is revealed
+      res.json({
+        message: changed ? 'Response changed successfully' : 'Response submitted successfully',
+        changed,
+        ...(response.isCorrect !== undefined && isAnswerRevealed(poll) && { isCorrect: response.isCorrect })
+      });
+
+    } catch (error) {
+      console.error('Error submitting response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get user's response for a specific poll: a student's own, or any in the
+  // session's polls for hosts who can view results (see canViewResponse)
+  router.get('/api/poll/:pollId/user/:userId/response', requireAuth(), async (req, res) => {
+    try {
+      const { pollId, userId } = req.params;
+
+      const poll = await store.getPoll(pollId);
+
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+
+      if (!(await canViewResponse(req.user, poll, userId))) {
+        return res.status(403).json({ error: 'You are not allowed to view this response' });
+      }
+
+      const userResponse = poll.responses[userId];
+
+      if (!userResponse) {
+        return res.json({
+          hasResponded: false,
+          message: 'User has not responded to this poll'
+        });
+      }
+
+      res.json({
+        ...createResponseLookup(poll, userResponse, req.user.role),
+        timestamp: userResponse.timestamp
+      });
+
+    } catch (error) {
+      console.error('Error fetching user response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Join as participant (Student)
+  // A student rejoining with their token for the same session keeps their ID
+  router.post('/api/participant/join', optionalAuth, async (req, res) => {
+    try {
+      const { session, participant, status, error } = await engine.joinSession(req.user, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      const token = issueToken({
+        id: participant.id,
+        name: participant.name,
+        role: 'student',
+        sessionCode: session.code
+      });
+
+      res.json({
+        message: 'Successfully joined as participant',
+        participant,
+        session: createSessionResponse(session, await getCurrentPoll(session)),
+        token
+      });
+
+    } catch (error) {
+      console.error('Error joining as participant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Question bank (Teacher only): saved questions to reuse across sessions, see lib/questionBank.js
+
+  // Search the bank: ?q=words&tags=a,b&type=single
+  router.get('/api/questions', requireAuth('teacher'), async (req, res) => {
+    try {
+      const questions = await questionBank.searchQuestions(req.user.id, {
+        q: req.query.q,
+        tags: req.query.tags,
+        type: req.query.type
+      });
+
+      res.json({ questions });
+    } catch (error) {
+      console.error('Error searching question bank:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/questions/tags', requireAuth('teacher'), async (req, res) => {
+    try {
+      res.json({ tags: await questionBank.listTags(req.user.id) });
+    } catch (error) {
+      console.error('Error listing question tags:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/api/questions', requireAuth('teacher'), validateBody('POST /api/questions'), async (req, res) => {
+    try {
+      const { question, status, error } = await questionBank.createQuestion(req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ question, message: 'Question saved to bank' });
+
+    } catch (error) {
+      console.error('Error saving bank question:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Import questions from a file: { format: json|csv|gift|aiken, content, tags?, dryRun? }.
+  // Lines that could not be imported are listed in `errors` as { line, error }.
+  router.post('/api/questions/import', requireAuth('teacher'), validateBody('POST /api/questions/import'), async (req, res) => {
+    try {
+      const { questions, errors, dryRun, status, error } = await questionBank.importQuestions(req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error, errors });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        questions,
+        errors,
+        message: dryRun
+          ? `${questions.length} questions can be imported`
+          : `Imported ${questions.length} questions`
+      });
+
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Download the bank (or a search of it) as ?format=json|csv|gift|aiken. Questions
+  // the format cannot express are left out and counted in X-Skipped-Questions.
+  router.get('/api/questions/export', requireAuth('teacher'), async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const { content, skipped, status, error } = await questionBank.exportQuestions(req.user.id, {
+        format,
+        q: req.query.q,
+        tags: req.query.tags,
+        type: req.query.type
+      });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.set('X-Skipped-Questions', String(skipped.length));
+      res.attachment(`question-bank.${FILE_TYPES[format].extension}`);
+      res.type(FILE_TYPES[format].contentType);
+      res.send(content);
+
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Save one of the teacher's polls to the bank: { tags? }
+  router.post('/api/questions/from-poll/:pollId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { question, status, error } = await questionBank.saveFromPoll(req.user.id, req.params.pollId, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ question, message: 'Question saved to bank' });
+
+    } catch (error) {
+      console.error('Error saving poll to bank:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/questions/:questionId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { question, status, error } = await questionBank.getQuestion(req.params.questionId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ question });
+    } catch (error) {
+      console.error('Error getting bank question:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update any of a bank question's fields
+  router.post('/api/questions/:questionId', requireAuth('teacher'), validateBody('POST /api/questions/:questionId'), async (req, res) => {
+    try {
+      const { question, status, error } = await questionBank.updateQuestion(req.params.questionId, req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ question, message: 'Question updated successfully' });
+
+    } catch (error) {
+      console.error('Error updating bank question:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/api/questions/:questionId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await questionBank.deleteQuestion(req.params.questionId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ message: 'Question deleted successfully' });
+
+    } catch (error) {
+      console.error('Error deleting bank question:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a poll in the teacher's session from a bank question:
+  // { duration?, reveal?, allowAnswerChange?, start? }
+  router.post('/api/questions/:questionId/launch', requireAuth('teacher'), validateBody('POST /api/questions/:questionId/launch'), async (req, res) => {
+    try {
+      const { poll, question, status, error } = await questionBank.launchQuestion(req.user, req.params.questionId, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({
+        poll: createPollResponse(poll),
+        question,
+        message: poll.isActive ? 'Poll started from bank' : 'Poll created from bank'
+      });
+
+    } catch (error) {
+      console.error('Error launching bank question:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Webhooks (Teacher only): subscribe URLs to poll lifecycle events, see lib/webhooks.js
+
+  router.get('/api/webhooks', requireAuth('teacher'), async (req, res) => {
+    try {
+      res.json({
+        webhooks: await webhooks.listWebhooks(req.user.id),
+        events: Object.keys(webhooks.WEBHOOK_EVENTS)
+      });
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a webhook: { url, events?, description?, secret? }. The signing
+  // secret is only returned here.
+  router.post('/api/webhooks', requireAuth('teacher'), validateBody('POST /api/webhooks'), async (req, res) => {
+    try {
+      const { webhook, secret, status, error } = await webhooks.createWebhook(req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ webhook, secret, message: 'Webhook created successfully' });
+
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update a webhook's url, events, description, secret or active flag
+  router.post('/api/webhooks/:webhookId', requireAuth('teacher'), validateBody('POST /api/webhooks/:webhookId'), async (req, res) => {
+    try {
+      const { webhook, status, error } = await webhooks.updateWebhook(req.params.webhookId, req.user.id, req.body);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ webhook, message: 'Webhook updated successfully' });
+
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/api/webhooks/:webhookId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await webhooks.deleteWebhook(req.params.webhookId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ message: 'Webhook deleted successfully' });
+
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // The delivery log, newest first, optionally one status (?status=failed)
+  router.get('/api/webhooks/:webhookId/deliveries', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { deliveries, status, error } = await webhooks.listDeliveries(req.params.webhookId, req.user.id, {
+        status: req.query.status
+      });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ deliveries });
+
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Replay every failed delivery of a webhook
+  router.post('/api/webhooks/:webhookId/replay', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { deliveries, status, error } = await webhooks.replayFailedDeliveries(req.params.webhookId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ deliveries, message: `Replayed ${deliveries.length} deliveries` });
+
+    } catch (error) {
+      console.error('Error replaying webhook deliveries:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Replay one failed delivery
+  router.post('/api/webhooks/deliveries/:deliveryId/replay', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { delivery, status, error } = await webhooks.replayDelivery(req.params.deliveryId, req.user.id);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ delivery, message: 'Delivery replayed' });
+
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get chat messages
+  router.get('/api/chat/messages', requireAuth(), async (req, res) => {
+    try {
+      const session = await getSession(req.user.sessionCode);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const denied = checkHost(req.user, session);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      res.json({
+        messages: session.chatMessages,
+        chat: req.user.role === 'teacher' ? getChatSettings(session) : getPublicChatSettings(session)
+      });
+    } catch (error) {
+      console.error('Error getting chat messages:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Send a chat message (the REST counterpart of the sendMessage socket event)
+  router.post('/api/chat/messages', requireAuth(), validateBody('POST /api/chat/messages'), async (req, res) => {
+    try {
+      const { message, status, error } = await engine.sendMessage(req.user, req.body.message);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.status(201).json({ message });
+
+    } catch (error) {
+      console.error('Error sending chat message:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete a chat message (Teacher only)
+  router.delete('/api/chat/messages/:messageId', requireAuth('teacher'), async (req, res) => {
+    try {
+      const { status, error } = await engine.deleteMessage(req.user.id, req.user.sessionCode, req.params.messageId);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ message: 'Message deleted successfully' });
+
+    } catch (error) {
+      console.error('Error deleting chat message:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Mute a student in chat, for `duration` seconds or until unmuted (Teacher only)
+  router.post('/api/chat/mute', requireAuth('teacher'), validateBody('POST /api/chat/mute'), async (req, res) => {
+    try {
+      const { studentId, duration, reason } = req.body;
+      const { mute, status, error } = await engine.muteStudent(req.user.id, req.user.sessionCode, studentId, { duration, reason });
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ studentId, mute, message: 'Student muted successfully' });
+
+    } catch (error) {
+      console.error('Error muting student:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/api/chat/unmute', requireAuth('teacher'), validateBody('POST /api/chat/unmute'), async (req, res) => {
+    try {
+      const { status, error } = await engine.unmuteStudent(req.user.id, req.user.sessionCode, req.body.studentId);
+
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      res.json({ studentId: req.body.studentId, message: 'Student unmuted successfully' });
+
+    } catch (error) {
+      console.error('Error unmuting student:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
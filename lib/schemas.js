@@ -0,0 +1,425 @@
+// Payload contracts for every inbound socket event and for the REST bodies
+// that carry user input (polls, responses, chat, quizzes and more). Schemas are plain JSON Schema (the
+// subset `validate` below understands), served as-is from GET /api/schemas so
+// clients can check against the same contract the server enforces.
+//
+// Rejections carry a machine-readable `code` next to the human `error`:
+// socket handlers reply through the ack callback when one is given, or emit
+// their error event otherwise; REST routes answer with the HTTP status.
+const { QUESTION_TYPES, CONFIDENCE_LEVELS } = require('./questionTypes');
+const { QUESTION_FORMATS } = require('./questionFormats');
+const { STAFF_ROLES } = require('./permissions');
+const { WEBHOOK_EVENTS, MIN_SECRET_LENGTH } = require('./webhooks');
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  LOCKED: 'LOCKED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const STATUS_CODES = {
+  400: ERROR_CODES.INVALID_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  423: ERROR_CODES.LOCKED,
+  429: ERROR_CODES.RATE_LIMITED
+};
+
+// The error code for an engine { status, error } result
+function errorCodeFor(status) {
+  return STATUS_CODES[status] || ERROR_CODES.INTERNAL_ERROR;
+}
+
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+const pollTarget = {
+  type: 'object',
+  properties: { pollId: id },
+  required: ['pollId']
+};
+const quizTarget = {
+  type: 'object',
+  properties: { quizId: id },
+  required: ['quizId']
+};
+const noPayload = { type: 'object', properties: {} };
+
+const revealPolicy = {
+  type: 'object',
+  properties: {
+    liveResults: { type: 'boolean' },
+    answer: { type: 'string', enum: ['end', 'manual'] },
+    anonymous: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const scheduledAt = {
+  type: 'string',
+  maxLength: 40,
+  description: 'ISO 8601 time to start the poll automatically, up to 30 days ahead'
+};
+
+// Any answer shape a question type accepts; lib/questionTypes.js checks the
+// answer against the poll itself
+const answer = {
+  type: ['string', 'number', 'array'],
+  description: 'single: option text; multiple: array of option texts; text and wordcloud: string; numeric and rating: number',
+  maxLength: 500,
+  maxItems: 50,
+  items: { type: 'string' }
+};
+
+const socketEvents = {
+  syncTime: {
+    type: ['number', 'string', 'null'],
+    description: 'The client clock, echoed back with the server time'
+  },
+  joinTeacher: noPayload,
+  joinParticipant: noPayload,
+  sendMessage: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 2000 }
+    },
+    required: ['message']
+  },
+  kickParticipant: {
+    type: 'object',
+    properties: {
+      studentId: id,
+      reason: { type: 'string', maxLength: 200 },
+      duration: { type: ['integer', 'null'], minimum: 1, maximum: 604800, description: 'Seconds; leave out to ban until reinstated' }
+    },
+    required: ['studentId']
+  },
+  listBans: noPayload,
+  reinstateParticipant: {
+    type: 'object',
+    properties: { studentId: id },
+    required: ['studentId']
+  },
+  endPoll: pollTarget,
+  pausePoll: pollTarget,
+  resumePoll: pollTarget,
+  extendPoll: {
+    type: 'object',
+    properties: {
+      pollId: id,
+      seconds: { type: 'integer', minimum: 1, maximum: 300 }
+    },
+    required: ['pollId']
+  },
+  reschedulePoll: {
+    type: 'object',
+    properties: { pollId: id, scheduledAt },
+    required: ['pollId', 'scheduledAt']
+  },
+  cancelScheduledPoll: pollTarget,
+  revealAnswer: pollTarget,
+  updateRevealPolicy: {
+    type: 'object',
+    properties: { pollId: id, reveal: revealPolicy },
+    required: ['pollId', 'reveal']
+  },
+  startQuiz: quizTarget,
+  nextQuestion: quizTarget,
+  deleteMessage: {
+    type: 'object',
+    properties: { messageId: id },
+    required: ['messageId']
+  },
+  muteStudent: {
+    type: 'object',
+    properties: {
+      studentId: id,
+      duration: { type: ['integer', 'null'], minimum: 1, maximum: 86400 },
+      reason: { type: 'string', maxLength: 200 }
+    },
+    required: ['studentId']
+  },
+  unmuteStudent: {
+    type: 'object',
+    properties: { studentId: id },
+    required: ['studentId']
+  },
+  updateChatSettings: {
+    type: 'object',
+    properties: {
+      chat: {
+        type: 'object',
+        properties: {
+          maxLength: { type: 'integer', minimum: 1, maximum: 2000 },
+          slowModeSeconds: { type: 'integer', minimum: 0, maximum: 600 },
+          lockDuringPoll: { type: 'boolean' },
+          wordFilter: { type: 'array', maxItems: 200, items: { type: 'string', maxLength: 100 } }
+        },
+        additionalProperties: false
+      }
+    },
+    required: ['chat']
+  }
+};
+
+// The fields of a question, shared by poll creation and the question bank
+const questionFields = {
+  question: { type: 'string', minLength: 1, maxLength: 1000 },
+  type: { type: 'string', enum: QUESTION_TYPES },
+  duration: { type: 'number', description: 'Seconds, clamped to 10-300' },
+  options: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } },
+  correctAnswer: { type: ['integer', 'string'], description: 'single: index or text of the correct option' },
+  correctAnswers: { type: 'array', items: { type: ['integer', 'string'] }, description: 'multiple: indexes or texts of the correct options' },
+  acceptedAnswers: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } },
+  correctValue: { type: ['number', 'string', 'null'] },
+  tolerance: { type: ['number', 'string'] },
+  graded: { type: ['boolean', 'string'] }
+};
+
+const tags = {
+  type: ['array', 'string'],
+  description: 'A list of tags, or one comma-separated string',
+  maxItems: 20,
+  maxLength: 1000,
+  items: { type: 'string', maxLength: 40 }
+};
+
+const webhookFields = {
+  url: { type: 'string', minLength: 1, maxLength: 2000, description: 'An http or https URL on the public internet' },
+  events: { type: 'array', maxItems: 20, items: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) } },
+  description: { type: 'string', maxLength: 200 },
+  secret: { type: 'string', minLength: MIN_SECRET_LENGTH, maxLength: 200, description: 'Signing secret; a random one is made when left out' },
+  active: { type: 'boolean' }
+};
+
+const rest = {
+  'POST /api/poll/create': {
+    type: 'object',
+    properties: {
+      ...questionFields,
+      reveal: revealPolicy,
+      allowAnswerChange: { type: ['boolean', 'string'], description: 'Let students change their answer while the poll runs' },
+      scheduledAt: { ...scheduledAt, type: ['string', 'null'] }
+    },
+    required: ['question']
+  },
+  'POST /api/poll/:pollId/schedule': {
+    type: 'object',
+    properties: { scheduledAt },
+    required: ['scheduledAt']
+  },
+  'POST /api/poll/:pollId/response': {
+    type: 'object',
+    properties: {
+      answer,
+      selectedOption: { type: 'string', description: 'Older single-choice clients send this instead of answer' },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS, description: 'Optional: how sure the student is' }
+    }
+  },
+  'POST /api/quiz/create': {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      questions: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+          type: 'object',
+          properties: {
+            ...questionFields,
+            reveal: revealPolicy,
+            allowAnswerChange: { type: ['boolean', 'string'], description: 'Let students change their answer while the question runs' }
+          },
+          required: ['question']
+        }
+      },
+      autoAdvance: { type: 'boolean', description: 'Start the next question on its own after each one ends' },
+      advanceDelay: { type: 'number', minimum: 0, maximum: 120, description: 'Seconds between questions when auto-advancing' }
+    },
+    required: ['title', 'questions']
+  },
+  'POST /api/questions': {
+    type: 'object',
+    properties: { ...questionFields, tags },
+    required: ['question']
+  },
+  'POST /api/questions/:questionId': {
+    type: 'object',
+    properties: { ...questionFields, tags }
+  },
+  'POST /api/questions/:questionId/launch': {
+    type: 'object',
+    properties: {
+      duration: { type: 'number', description: 'Seconds for this run, clamped to 10-300' },
+      reveal: revealPolicy,
+      allowAnswerChange: { type: 'boolean', description: 'Let students change their answer while the poll runs' },
+      start: { type: 'boolean', description: 'Start the poll right away' }
+    }
+  },
+  'POST /api/questions/import': {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: QUESTION_FORMATS },
+      content: { type: 'string', minLength: 1, description: 'The file contents' },
+      tags,
+      dryRun: { type: 'boolean', description: 'Only check the file' }
+    },
+    required: ['format', 'content']
+  },
+  'POST /api/chat/messages': socketEvents.sendMessage,
+  'POST /api/chat/mute': socketEvents.muteStudent,
+  'POST /api/chat/unmute': socketEvents.unmuteStudent,
+  'POST /api/session/:code/staff/invitations': {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: STAFF_ROLES },
+      expiresIn: { type: 'integer', minimum: 60, maximum: 2592000, description: 'Seconds the invitation stays valid (a day by default)' },
+      maxUses: { type: 'integer', minimum: 1, maximum: 100, description: 'How many teachers can use it (unlimited by default)' }
+    },
+    required: ['role']
+  },
+  'POST /api/session/:code/staff/:staffId': {
+    type: 'object',
+    properties: { role: { type: 'string', enum: STAFF_ROLES } },
+    required: ['role']
+  },
+  'POST /api/staff/join': {
+    type: 'object',
+    properties: {
+      sessionCode: { type: 'string', minLength: 1, maxLength: 20 },
+      inviteCode: { type: 'string', minLength: 1, maxLength: 20 },
+      teacherName: { type: 'string', minLength: 1, maxLength: 100 }
+    },
+    required: ['sessionCode', 'inviteCode', 'teacherName']
+  },
+  'POST /api/webhooks': {
+    type: 'object',
+    properties: webhookFields,
+    required: ['url']
+  },
+  'POST /api/webhooks/:webhookId': {
+    type: 'object',
+    properties: webhookFields
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function fieldName(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Check `value` against `schema`. Returns null when it matches, or
+// { code, error, field } for the first problem found.
+function validate(schema, value, path = '') {
+  const fail = message => ({
+    code: ERROR_CODES.VALIDATION_FAILED,
+    error: path ? `${path} ${message}` : `Payload ${message}`,
+    field: path || null
+  });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(`must be ${types.join(' or ')}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return fail('must be a finite number');
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      for (let index = 0; index < value.length; index++) {
+        const problem = validate(schema.items, value[index], `${path || 'payload'}[${index}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        return { code: ERROR_CODES.VALIDATION_FAILED, error: `${fieldName(path, key)} is required`, field: fieldName(path, key) };
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const problem = validate(propertySchema, value[key], fieldName(path, key));
+      if (problem) return problem;
+    }
+
+    if (schema.additionalProperties === false) {
+      const unknown = Object.keys(value).find(key => !(schema.properties || {})[key]);
+      if (unknown) {
+        return { code: ERROR_CODES.VALIDATION_FAILED, error: `${fieldName(path, unknown)} is not allowed`, field: fieldName(path, unknown) };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Express middleware rejecting bodies that do not match the schema for `route`
+function validateBody(route) {
+  const schema = rest[route];
+
+  return (req, res, next) => {
+    const problem = validate(schema, req.body ?? {});
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorCodeFor,
+  socketEvents,
+  rest,
+  validate,
+  validateBody
+};
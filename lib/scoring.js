@@ -0,0 +1,134 @@
+// Scoring engine: awards points for correct answers on graded polls, with an
+// optional bonus for answering quickly, and keeps running totals per student
+// on the session's scoreboard.
+const { isGraded } = require('./questionTypes');
+
+const DEFAULT_SCORING = {
+  pointsPerCorrect: 100,
+  speedBonus: false,
+  maxSpeedBonus: 50,
+  leaderboardSize: null // show everyone; a number shows only the top N to students
+};
+
+function getScoringSettings(session) {
+  return { ...DEFAULT_SCORING, ...(session.scoring || {}) };
+}
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Validate a scoring settings update. Returns the merged settings or { error }.
+function configureScoring(current, updates) {
+  const settings = { ...current };
+
+  if (updates.pointsPerCorrect !== undefined) {
+    if (!isWholeNumber(updates.pointsPerCorrect, 0, 10000)) {
+      return { error: 'Points per correct answer must be a whole number from 0 to 10000' };
+    }
+    settings.pointsPerCorrect = updates.pointsPerCorrect;
+  }
+
+  if (updates.speedBonus !== undefined) {
+    settings.speedBonus = Boolean(updates.speedBonus);
+  }
+
+  if (updates.maxSpeedBonus !== undefined) {
+    if (!isWholeNumber(updates.maxSpeedBonus, 0, 10000)) {
+      return { error: 'Maximum speed bonus must be a whole number from 0 to 10000' };
+    }
+    settings.maxSpeedBonus = updates.maxSpeedBonus;
+  }
+
+  if (updates.leaderboardSize !== undefined) {
+    if (updates.leaderboardSize !== null && !isWholeNumber(updates.leaderboardSize, 1, 1000)) {
+      return { error: 'Leaderboard size must be a whole number from 1 to 1000, or null for everyone' };
+    }
+    settings.leaderboardSize = updates.leaderboardSize;
+  }
+
+  return settings;
+}
+
+// Points for one response: full points for a correct answer, plus a bonus that
+// shrinks linearly from maxSpeedBonus (instant) to 0 (at the poll's duration)
+function scoreResponse(poll, response, settings) {
+  if (!response.isCorrect) return 0;
+
+  let points = settings.pointsPerCorrect;
+
+  if (settings.speedBonus && poll.startTime) {
+    const elapsed = new Date(response.timestamp).getTime() - new Date(poll.startTime).getTime();
+    const remaining = 1 - elapsed / (poll.duration * 1000);
+    points += Math.round(settings.maxSpeedBonus * Math.min(1, Math.max(0, remaining)));
+  }
+
+  return points;
+}
+
+// Score an ended poll: records `points` on each response and adds them to the
+// session scoreboard. Ungraded polls score nothing.
+function applyPollScores(session, poll) {
+  if (!isGraded(poll)) return;
+
+  const settings = getScoringSettings(session);
+  session.scoreboard = session.scoreboard || {};
+
+  Object.values(poll.responses).forEach(response => {
+    const points = scoreResponse(poll, response, settings);
+    response.points = points;
+
+    const totals = session.scoreboard[response.studentId] || {
+      studentId: response.studentId,
+      studentName: response.studentName,
+      points: 0,
+      correct: 0,
+      answered: 0
+    };
+
+    totals.studentName = response.studentName;
+    totals.points += points;
+    totals.answered++;
+    if (response.isCorrect) {
+      totals.correct++;
+    }
+
+    session.scoreboard[response.studentId] = totals;
+  });
+}
+
+// The session's scoreboard ranked highest points first. Tied students share a rank.
+function rankScoreboard(session) {
+  const ranked = Object.values(session.scoreboard || {})
+    .sort((a, b) => b.points - a.points || b.correct - a.correct || a.studentName.localeCompare(b.studentName));
+
+  let rank = 0;
+  return ranked.map((entry, index) => {
+    if (index === 0 || entry.points !== ranked[index - 1].points) {
+      rank = index + 1;
+    }
+    return { rank, ...entry };
+  });
+}
+
+// Ranked scoreboard. `limit` keeps only the top N entries; with a
+// `studentId` the board also carries that student's own `standing` (null
+// until they have scored), so students outside the top N still see theirs.
+// Pass `ranked` from rankScoreboard() when building several boards at once.
+function buildLeaderboard(session, { limit = null, studentId = null, ranked = rankScoreboard(session) } = {}) {
+  return {
+    entries: limit ? ranked.slice(0, limit) : ranked,
+    totalStudents: ranked.length,
+    ...(studentId && { standing: ranked.find(entry => entry.studentId === studentId) || null })
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  getScoringSettings,
+  configureScoring,
+  scoreResponse,
+  applyPollScores,
+  rankScoreboard,
+  buildLeaderboard
+};
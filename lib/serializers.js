@@ -0,0 +1,239 @@
+// Poll payloads for each role. Teachers get everything; students get only what
+// the poll's reveal policy allows, and never the full `responses` map.
+const { isGraded, getAnswerKey, getCorrectAnswer, setEntry } = require('./questionTypes');
+
+// What students may see of a poll, chosen by the teacher per poll:
+//   liveResults  show vote counts while the poll is running
+//   answer       'end' reveals the correct answer when the poll ends,
+//                'manual' only when the teacher reveals it
+//   anonymous    hide which student gave which answer
+const DEFAULT_REVEAL_POLICY = {
+  liveResults: true,
+  answer: 'end',
+  anonymous: true
+};
+
+const REVEAL_ANSWER_MODES = ['end', 'manual'];
+
+function getRevealPolicy(poll) {
+  return { ...DEFAULT_REVEAL_POLICY, ...(poll.reveal || {}) };
+}
+
+// Validate a reveal policy update. Returns the merged policy or { error }.
+function configureRevealPolicy(current, updates = {}) {
+  if (typeof updates !== 'object' || updates === null) {
+    return { error: 'Reveal policy must be an object' };
+  }
+
+  const policy = { ...DEFAULT_REVEAL_POLICY, ...current };
+
+  if (updates.liveResults !== undefined) {
+    policy.liveResults = Boolean(updates.liveResults);
+  }
+
+  if (updates.answer !== undefined) {
+    if (!REVEAL_ANSWER_MODES.includes(updates.answer)) {
+      return { error: `Answer reveal must be one of: ${REVEAL_ANSWER_MODES.join(', ')}` };
+    }
+    policy.answer = updates.answer;
+  }
+
+  if (updates.anonymous !== undefined) {
+    policy.anonymous = Boolean(updates.anonymous);
+  }
+
+  return policy;
+}
+
+function isAnswerRevealed(poll) {
+  return isGraded(poll) && Boolean(poll.answerRevealed);
+}
+
+// Seconds remaining on an active poll, derived from its stored end time
+// (a paused poll keeps the seconds it had left when it was paused)
+function getTimeLeft(poll) {
+  if (!poll.isActive || poll.isPaused || !poll.endTime) return poll.timeLeft;
+  return Math.max(0, Math.round((new Date(poll.endTime).getTime() - Date.now()) / 1000));
+}
+
+// Seconds until a scheduled poll starts
+function getStartsIn(poll) {
+  return Math.max(0, Math.round((new Date(poll.scheduledAt).getTime() - Date.now()) / 1000));
+}
+
+// Countdown to a scheduled poll, safe to send to students: clients count down
+// to scheduledAt, correcting their clock by the serverTime offset
+function createScheduleResponse(poll) {
+  return {
+    pollId: poll.id,
+    scheduledAt: poll.scheduledAt,
+    startsIn: getStartsIn(poll),
+    serverTime: new Date().toISOString()
+  };
+}
+
+// Full poll for the teacher who owns it
+function createPollResponse(poll) {
+  if (!poll) return null;
+
+  return {
+    id: poll.id,
+    question: poll.question,
+    type: poll.type || 'single',
+    options: poll.options,
+    duration: poll.duration,
+    graded: isGraded(poll),
+    ...getAnswerKey(poll), // Include correct answer for results (graded polls only)
+    reveal: getRevealPolicy(poll),
+    answerRevealed: isAnswerRevealed(poll),
+    allowAnswerChange: Boolean(poll.allowAnswerChange),
+    isActive: poll.isActive,
+    isPaused: Boolean(poll.isPaused),
+    scheduledAt: poll.scheduledAt || null,
+    startTime: poll.startTime,
+    endTime: poll.endTime,
+    serverTime: new Date().toISOString(), // lets clients correct for clock skew
+    timeLeft: getTimeLeft(poll),
+    teacherId: poll.teacherId,
+    teacherName: poll.teacherName,
+    createdBy: poll.createdBy || null,
+    sessionCode: poll.sessionCode,
+    quizId: poll.quizId,
+    createdAt: poll.createdAt,
+    results: poll.results || {},
+    finalResults: poll.finalResults || {},
+    summary: poll.summary || null,
+    responses: poll.responses || {}
+  };
+}
+
+// Live or final results with student identities removed (or reduced to names
+// when results are not anonymous) and correctness removed until revealed
+function createStudentResults(poll, results, { showCorrectness, anonymous }) {
+  const studentResults = {};
+
+  Object.entries(results || {}).forEach(([key, value]) => {
+    if (Array.isArray(value) && (key === 'answers' || key === 'values')) {
+      setEntry(studentResults, key, value.map(({ studentId, studentName, isCorrect, ...entry }) => ({
+        ...entry,
+        ...(!anonymous && { studentName }),
+        ...(showCorrectness && isCorrect !== undefined && { isCorrect })
+      })));
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && 'count' in value) {
+      const { participants, isCorrect, ...entry } = value;
+      setEntry(studentResults, key, {
+        ...entry,
+        ...(!anonymous && participants && {
+          participants: participants.map(participant => ({ studentName: participant.studentName }))
+        }),
+        ...(showCorrectness && isCorrect !== undefined && { isCorrect })
+      });
+    } else {
+      setEntry(studentResults, key, value);
+    }
+  });
+
+  return studentResults;
+}
+
+function createStudentSummary(poll, showCorrectness) {
+  if (!poll.summary) return null;
+  if (showCorrectness) return poll.summary;
+
+  const {
+    correctResponses,
+    incorrectResponses,
+    correctPercentage,
+    incorrectPercentage,
+    correctAnswer,
+    ...summary
+  } = poll.summary;
+
+  if (summary.confidence?.byCorrectness) {
+    const { byCorrectness, ...confidence } = summary.confidence;
+    summary.confidence = confidence;
+  }
+
+  return summary;
+}
+
+// A student's own answer, with correctness only once the answer is revealed
+function createStudentAnswer(poll, studentId) {
+  const response = studentId && poll.responses ? poll.responses[studentId] : null;
+  if (!response) return null;
+
+  return {
+    selectedOption: response.selectedOption,
+    timestamp: response.timestamp,
+    ...(response.confidence && { confidence: response.confidence }),
+    ...(isAnswerRevealed(poll) && { isCorrect: response.isCorrect, points: response.points })
+  };
+}
+
+// Poll as a student may see it. Pass the student's ID to include their own answer.
+function createStudentPollResponse(poll, studentId = null) {
+  if (!poll) return null;
+
+  const policy = getRevealPolicy(poll);
+  const revealed = isAnswerRevealed(poll);
+  const showResults = !poll.isActive || policy.liveResults;
+  const resultOptions = { showCorrectness: revealed, anonymous: policy.anonymous };
+
+  return {
+    id: poll.id,
+    question: poll.question,
+    type: poll.type || 'single',
+    options: poll.options,
+    duration: poll.duration,
+    graded: isGraded(poll),
+    ...(revealed && getAnswerKey(poll)),
+    reveal: policy,
+    answerRevealed: revealed,
+    allowAnswerChange: Boolean(poll.allowAnswerChange),
+    isActive: poll.isActive,
+    isPaused: Boolean(poll.isPaused),
+    scheduledAt: poll.scheduledAt || null,
+    startTime: poll.startTime,
+    endTime: poll.endTime,
+    serverTime: new Date().toISOString(), // lets clients correct for clock skew
+    timeLeft: getTimeLeft(poll),
+    teacherName: poll.teacherName,
+    sessionCode: poll.sessionCode,
+    quizId: poll.quizId,
+    createdAt: poll.createdAt,
+    responseCount: Object.keys(poll.responses || {}).length,
+    results: showResults ? createStudentResults(poll, poll.results, resultOptions) : null,
+    finalResults: createStudentResults(poll, poll.finalResults, resultOptions),
+    summary: createStudentSummary(poll, revealed),
+    myResponse: createStudentAnswer(poll, studentId)
+  };
+}
+
+// What a response lookup returns, for a teacher or for the student themselves
+function createResponseLookup(poll, response, role) {
+  const showCorrectness = isGraded(poll) && (role === 'teacher' || isAnswerRevealed(poll));
+
+  return {
+    hasResponded: true,
+    response: response.selectedOption,
+    ...(response.confidence && { confidence: response.confidence }),
+    ...(showCorrectness && {
+      isCorrect: response.isCorrect,
+      correctAnswer: getCorrectAnswer(poll)
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_REVEAL_POLICY,
+  getRevealPolicy,
+  configureRevealPolicy,
+  isAnswerRevealed,
+  getTimeLeft,
+  getStartsIn,
+  createScheduleResponse,
+  createPollResponse,
+  createStudentPollResponse,
+  createStudentResults,
+  createResponseLookup
+};
@@ -0,0 +1,132 @@
+// Classroom sessions: each teacher opens a session identified by a short
+// join code, and polls, participants, chat and kicks are scoped to it.
+// Other teachers can join a session's staff; see lib/permissions.js.
+const crypto = require('crypto');
+const { store } = require('./storage');
+const { DEFAULT_SCORING } = require('./scoring');
+const { DEFAULT_CHAT_SETTINGS } = require('./chat');
+
+// Generate a short, human-friendly join code
+function generateRoomCode() {
+  return Math.random().toString(36).substring(2, 8).toUpperCase();
+}
+
+// Invitation codes let teachers join a session's staff, so they are harder to guess
+function generateInviteCode() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Open a new session for a teacher, or return the one they already have open
+async function createSession({ teacherId, teacherName }) {
+  const existing = await findSessionByTeacher(teacherId);
+  if (existing) return existing;
+
+  let code = generateRoomCode();
+  while (code.length < 6 || await store.getSession(code)) {
+    code = generateRoomCode();
+  }
+
+  const session = {
+    code,
+    teacherId,
+    teacherName,
+    createdAt: new Date().toISOString(),
+    currentPollId: null,
+    participants: {},
+    staff: {},
+    invitations: {},
+    chatMessages: [],
+    bans: {},
+    mutedStudents: {},
+    chat: { ...DEFAULT_CHAT_SETTINGS },
+    scoring: { ...DEFAULT_SCORING },
+    scoreboard: {}
+  };
+
+  await store.saveSession(session);
+  return session;
+}
+
+async function getSession(code) {
+  const normalized = normalizeCode(code);
+  return normalized ? store.getSession(normalized) : null;
+}
+
+async function findSessionByTeacher(teacherId) {
+  if (!teacherId) return null;
+  const [session] = await store.listSessions({ teacherId });
+  return session || null;
+}
+
+async function closeSession(code) {
+  return store.deleteSession(normalizeCode(code));
+}
+
+function listParticipants(session) {
+  return Object.values(session.participants);
+}
+
+// The ban keeping a student out of a session, or null if they are not (or no
+// longer) banned. Bans look like { studentId, studentName, reason, kickedBy,
+// kickedAt, expiresAt }; sessions saved before bans had details keep a plain
+// list of ids in `kickedOutStudents`, which never expire.
+function getBan(session, studentId, now = Date.now()) {
+  const ban = (session.bans || {})[studentId];
+
+  if (ban) {
+    return ban.expiresAt && new Date(ban.expiresAt).getTime() <= now ? null : ban;
+  }
+
+  if ((session.kickedOutStudents || []).includes(studentId)) {
+    return { studentId, studentName: null, reason: null, kickedBy: null, kickedAt: null, expiresAt: null };
+  }
+
+  return null;
+}
+
+function isKickedOut(session, studentId) {
+  return Boolean(getBan(session, studentId));
+}
+
+// Bans still in force, most recent first
+function listBans(session) {
+  const ids = new Set([...Object.keys(session.bans || {}), ...(session.kickedOutStudents || [])]);
+
+  return Array.from(ids)
+    .map(studentId => getBan(session, studentId))
+    .filter(Boolean)
+    .sort((a, b) => (b.kickedAt || '').localeCompare(a.kickedAt || ''));
+}
+
+// Public view of a session, safe to send to any client
+function createSessionResponse(session, currentPoll = null) {
+  if (!session) return null;
+
+  return {
+    code: session.code,
+    teacherId: session.teacherId,
+    teacherName: session.teacherName,
+    createdAt: session.createdAt,
+    participantCount: listParticipants(session).length,
+    hasActivePoll: Boolean(currentPoll && currentPoll.isActive)
+  };
+}
+
+module.exports = {
+  generateRoomCode,
+  generateInviteCode,
+  normalizeCode,
+  createSession,
+  getSession,
+  findSessionByTeacher,
+  closeSession,
+  listParticipants,
+  getBan,
+  isKickedOut,
+  listBans,
+  createSessionResponse
+};
@@ -0,0 +1,54 @@
+// File-backed storage driver: keeps the memory driver as a cache and writes a
+// JSON snapshot to disk after every change, loading it again on startup.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+function readSnapshot(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read storage file ${filePath}:`, error);
+    }
+    return {};
+  }
+}
+
+function createFileStore({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let pending = null;
+  let writing = Promise.resolve();
+
+  // Coalesce bursts of changes into one write, and never run two writes at once
+  function scheduleWrite(data) {
+    const alreadyScheduled = pending !== null;
+    pending = data;
+    if (alreadyScheduled) return writing;
+
+    writing = writing.then(() => new Promise(resolve => setImmediate(resolve))).then(() => {
+      const contents = JSON.stringify(pending);
+      pending = null;
+      const tmpPath = `${filePath}.tmp`;
+      return fs.promises.writeFile(tmpPath, contents)
+        .then(() => fs.promises.rename(tmpPath, filePath));
+    }).catch(error => {
+      console.error(`Could not write storage file ${filePath}:`, error);
+    });
+
+    return writing;
+  }
+
+  const store = createMemoryStore({
+    data: readSnapshot(filePath),
+    onChange: scheduleWrite
+  });
+
+  // Resolves once everything saved so far has reached the disk
+  store.flush = () => writing;
+
+  return store;
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,36 @@
+// Storage selection. Every route and socket handler reads and writes through
+// the store exported here; the driver is picked with STORAGE_DRIVER.
+//
+//   STORAGE_DRIVER=memory  (default) state is lost on restart
+//   STORAGE_DRIVER=file    state is kept in STORAGE_FILE (default ./data/store.json)
+//   STORAGE_DRIVER=redis   state is kept in REDIS_URL (default redis://127.0.0.1:6379),
+//                          shared by every instance using it
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+function createStore(config = {}) {
+  const driver = config.driver || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({
+        filePath: path.resolve(config.filePath || path.join('data', 'store.json'))
+      });
+    case 'redis':
+      return createRedisStore({ url: config.url || 'redis://127.0.0.1:6379' });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER,
+  filePath: process.env.STORAGE_FILE,
+  url: process.env.REDIS_URL
+});
+
+module.exports = { store, createStore };
@@ -0,0 +1,285 @@
+// In-memory storage driver. Records are copied on the way in and out so that
+// callers must save explicitly, exactly as with a persistent driver.
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// A poll with a start time that has not started yet
+function isWaiting(poll) {
+  return Boolean(poll.scheduledAt) && !poll.isActive;
+}
+
+function createMemoryStore({ data = {}, onChange = () => {} } = {}) {
+  const polls = new Map(Object.entries(data.polls || {}));
+  const sessions = new Map(Object.entries(data.sessions || {}));
+  const quizzes = new Map(Object.entries(data.quizzes || {}));
+  const webhooks = new Map(Object.entries(data.webhooks || {}));
+  const webhookDeliveries = new Map(Object.entries(data.webhookDeliveries || {}));
+  const bankQuestions = new Map(Object.entries(data.bankQuestions || {}));
+  const pollHistory = data.pollHistory || [];
+
+  // Delivery ids by webhook, and the ids of pending deliveries
+  const deliveriesByWebhook = new Map();
+  const pendingDeliveryIds = new Set();
+  webhookDeliveries.forEach(indexDelivery);
+
+  // Ids of running polls and of polls waiting for their scheduledAt, so
+  // finding them does not mean going through every poll ever run
+  const activePollIds = new Set(Array.from(polls.values()).filter(poll => poll.isActive).map(poll => poll.id));
+  const scheduledPollIds = new Set(Array.from(polls.values()).filter(isWaiting).map(poll => poll.id));
+
+  // Client event log (see lib/eventStream.js). Kept in memory only, and
+  // entries never change once logged, so they are copied on the way in only.
+  const clientEvents = [];
+  let lastEventId = 0;
+
+  function indexDelivery(delivery) {
+    if (!deliveriesByWebhook.has(delivery.webhookId)) {
+      deliveriesByWebhook.set(delivery.webhookId, new Set());
+    }
+    deliveriesByWebhook.get(delivery.webhookId).add(delivery.id);
+
+    if (delivery.status === 'pending') {
+      pendingDeliveryIds.add(delivery.id);
+    } else {
+      pendingDeliveryIds.delete(delivery.id);
+    }
+  }
+
+  function unindexDelivery(delivery) {
+    deliveriesByWebhook.get(delivery.webhookId)?.delete(delivery.id);
+    pendingDeliveryIds.delete(delivery.id);
+  }
+
+  function getWebhookDeliveries(webhookId) {
+    return Array.from(deliveriesByWebhook.get(webhookId) || [], deliveryId => webhookDeliveries.get(deliveryId));
+  }
+
+  function changed() {
+    onChange(snapshot());
+  }
+
+  function snapshot() {
+    return {
+      polls: Object.fromEntries(polls),
+      sessions: Object.fromEntries(sessions),
+      quizzes: Object.fromEntries(quizzes),
+      webhooks: Object.fromEntries(webhooks),
+      webhookDeliveries: Object.fromEntries(webhookDeliveries),
+      bankQuestions: Object.fromEntries(bankQuestions),
+      pollHistory
+    };
+  }
+
+  return {
+    snapshot,
+
+    // Polls
+    async getPoll(pollId) {
+      return clone(polls.get(pollId)) || null;
+    },
+
+    async savePoll(poll) {
+      polls.set(poll.id, clone(poll));
+      if (poll.isActive) {
+        activePollIds.add(poll.id);
+      } else {
+        activePollIds.delete(poll.id);
+      }
+      if (isWaiting(poll)) {
+        scheduledPollIds.add(poll.id);
+      } else {
+        scheduledPollIds.delete(poll.id);
+      }
+      changed();
+      return poll;
+    },
+
+    async listPolls({ sessionCode, isActive } = {}) {
+      const candidates = isActive
+        ? Array.from(activePollIds, pollId => polls.get(pollId))
+        : Array.from(polls.values());
+
+      return candidates
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode)
+        .filter(poll => isActive === undefined || poll.isActive === isActive)
+        .map(clone);
+    },
+
+    // Polls waiting for their scheduledAt, soonest first; with `dueBy`, only
+    // those whose time has come by then
+    async listScheduledPolls({ sessionCode, dueBy } = {}) {
+      return Array.from(scheduledPollIds, pollId => polls.get(pollId))
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode)
+        .filter(poll => dueBy === undefined || new Date(poll.scheduledAt) <= new Date(dueBy))
+        .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt))
+        .map(clone);
+    },
+
+    // Poll history
+    async addHistory(entry) {
+      pollHistory.push(clone(entry));
+      changed();
+      return entry;
+    },
+
+    async listHistory({ teacherId, sessionCode } = {}) {
+      return pollHistory
+        .filter(poll => teacherId === undefined || poll.teacherId === teacherId)
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode)
+        .map(clone);
+    },
+
+    // Sessions (including their participants, chat and kicked students)
+    async getSession(code) {
+      return clone(sessions.get(code)) || null;
+    },
+
+    async saveSession(session) {
+      sessions.set(session.code, clone(session));
+      changed();
+      return session;
+    },
+
+    async deleteSession(code) {
+      const existed = sessions.delete(code);
+      if (existed) changed();
+      return existed;
+    },
+
+    async listSessions({ teacherId } = {}) {
+      return Array.from(sessions.values())
+        .filter(session => teacherId === undefined || session.teacherId === teacherId)
+        .map(clone);
+    },
+
+    // Quiz sets
+    async getQuiz(quizId) {
+      return clone(quizzes.get(quizId)) || null;
+    },
+
+    async saveQuiz(quiz) {
+      quizzes.set(quiz.id, clone(quiz));
+      changed();
+      return quiz;
+    },
+
+    async listQuizzes({ teacherId, sessionCode } = {}) {
+      return Array.from(quizzes.values())
+        .filter(quiz => teacherId === undefined || quiz.teacherId === teacherId)
+        .filter(quiz => sessionCode === undefined || quiz.sessionCode === sessionCode)
+        .map(clone);
+    },
+
+    // Webhook subscriptions
+    async getWebhook(webhookId) {
+      return clone(webhooks.get(webhookId)) || null;
+    },
+
+    async saveWebhook(webhook) {
+      webhooks.set(webhook.id, clone(webhook));
+      changed();
+      return webhook;
+    },
+
+    async deleteWebhook(webhookId) {
+      const existed = webhooks.delete(webhookId);
+      if (existed) changed();
+      return existed;
+    },
+
+    async listWebhooks({ teacherId } = {}) {
+      return Array.from(webhooks.values())
+        .filter(webhook => teacherId === undefined || webhook.teacherId === teacherId)
+        .map(clone);
+    },
+
+    // Webhook delivery log
+    async getDelivery(deliveryId) {
+      return clone(webhookDeliveries.get(deliveryId)) || null;
+    },
+
+    async saveDelivery(delivery) {
+      webhookDeliveries.set(delivery.id, clone(delivery));
+      indexDelivery(delivery);
+      changed();
+      return delivery;
+    },
+
+    async deleteDelivery(deliveryId) {
+      const delivery = webhookDeliveries.get(deliveryId);
+      if (!delivery) return false;
+
+      webhookDeliveries.delete(deliveryId);
+      unindexDelivery(delivery);
+      changed();
+      return true;
+    },
+
+    async listDeliveries({ webhookId, status } = {}) {
+      let deliveries;
+      if (status === 'pending') {
+        deliveries = Array.from(pendingDeliveryIds, deliveryId => webhookDeliveries.get(deliveryId));
+      } else if (webhookId !== undefined) {
+        deliveries = getWebhookDeliveries(webhookId);
+      } else {
+        deliveries = Array.from(webhookDeliveries.values());
+      }
+
+      return deliveries
+        .filter(delivery => webhookId === undefined || delivery.webhookId === webhookId)
+        .filter(delivery => status === undefined || delivery.status === status)
+        .map(clone);
+    },
+
+    // How many deliveries a webhook has, or how many of them are pending
+    async countDeliveries({ webhookId, status }) {
+      return getWebhookDeliveries(webhookId)
+        .filter(delivery => status === undefined || delivery.status === status)
+        .length;
+    },
+
+    // Client events, numbered in order. Only the latest `maxEvents` are kept.
+    async appendEvent(entry, { maxEvents }) {
+      const logged = { id: ++lastEventId, ...clone(entry) };
+      clientEvents.push(logged);
+      if (clientEvents.length > maxEvents) {
+        clientEvents.splice(0, clientEvents.length - maxEvents);
+      }
+      return logged;
+    },
+
+    async listEvents({ since = 0 } = {}) {
+      return clientEvents.filter(entry => entry.id > since);
+    },
+
+    async getLastEventId() {
+      return lastEventId;
+    },
+
+    // Question bank
+    async getBankQuestion(questionId) {
+      return clone(bankQuestions.get(questionId)) || null;
+    },
+
+    async saveBankQuestion(question) {
+      bankQuestions.set(question.id, clone(question));
+      changed();
+      return question;
+    },
+
+    async deleteBankQuestion(questionId) {
+      const existed = bankQuestions.delete(questionId);
+      if (existed) changed();
+      return existed;
+    },
+
+    async listBankQuestions({ teacherId } = {}) {
+      return Array.from(bankQuestions.values())
+        .filter(question => teacherId === undefined || question.teacherId === teacherId)
+        .map(clone);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,270 @@
+// Redis storage driver, for running several instances on shared state. Each
+// record is a JSON string under its own key, with a set of ids per record
+// type for listing. Running polls also have a set of their own, and polls
+// waiting for their start time a sorted set by that time, so finding them
+// does not mean loading every poll ever run. Webhook deliveries are also
+// indexed by webhook, with sets of pending ones per webhook and overall.
+// Poll history and the client event log are lists.
+//
+// Records are written whole, so changes that read a record first must hold
+// its session's lock (see lib/locks.js); the engine does.
+const { randomUUID } = require('crypto');
+const { createRedisClient } = require('../redis');
+
+// Delete a lock only while it still holds the caller's token, so a caller
+// whose lock already expired cannot release someone else's
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Number an event and add it to the log in one step, so the log is always in
+// order. The entry's JSON gets its id prepended.
+const APPEND_EVENT_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+redis.call('RPUSH', KEYS[2], '{"id":' .. id .. ',' .. string.sub(ARGV[1], 2))
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+return id`;
+
+function createRedisStore({ url, prefix = 'live-polling:' }) {
+  const client = createRedisClient({ url });
+
+  const key = (type, id) => `${prefix}${type}:${id}`;
+  const indexKey = type => `${prefix}${type}s`;
+  const activePollsKey = `${prefix}activePolls`;
+  const scheduledPollsKey = `${prefix}scheduledPolls`;
+  const webhookDeliveriesKey = webhookId => `${prefix}webhookDeliveries:${webhookId}`;
+  const pendingDeliveriesKey = webhookId => `${prefix}pendingDeliveries${webhookId ? `:${webhookId}` : ''}`;
+  const historyKey = `${prefix}pollHistory`;
+  const eventsKey = `${prefix}clientEvents`;
+  const lastEventIdKey = `${prefix}lastEventId`;
+
+  // Run a MULTI transaction, failing if any of its commands did
+  async function transaction(multi) {
+    const results = await multi.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+    return results.map(([, result]) => result);
+  }
+
+  async function get(type, id) {
+    const value = await client.get(key(type, id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function save(type, id, record) {
+    await transaction(client.multi()
+      .set(key(type, id), JSON.stringify(record))
+      .sadd(indexKey(type), id));
+    return record;
+  }
+
+  async function remove(type, id) {
+    const [removed] = await transaction(client.multi()
+      .del(key(type, id))
+      .srem(indexKey(type), id));
+    return removed > 0;
+  }
+
+  async function getMany(type, ids) {
+    if (ids.length === 0) return [];
+
+    const values = await client.mget(ids.map(id => key(type, id)));
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  async function list(type) {
+    return getMany(type, await client.smembers(indexKey(type)));
+  }
+
+  return {
+    // Locks shared by every instance (see lib/locks.js). acquireLock resolves
+    // with a token to release it with, or null when someone else holds it.
+    async acquireLock(name, ttlMs) {
+      const token = randomUUID();
+      const reply = await client.set(`${prefix}lock:${name}`, token, 'PX', ttlMs, 'NX');
+      return reply === 'OK' ? token : null;
+    },
+
+    async releaseLock(name, token) {
+      await client.eval(RELEASE_LOCK_SCRIPT, 1, `${prefix}lock:${name}`, token);
+    },
+
+    // Polls
+    getPoll: pollId => get('poll', pollId),
+
+    async savePoll(poll) {
+      const multi = client.multi()
+        .set(key('poll', poll.id), JSON.stringify(poll))
+        .sadd(indexKey('poll'), poll.id);
+
+      if (poll.isActive) {
+        multi.sadd(activePollsKey, poll.id);
+      } else {
+        multi.srem(activePollsKey, poll.id);
+      }
+
+      if (poll.scheduledAt && !poll.isActive) {
+        multi.zadd(scheduledPollsKey, new Date(poll.scheduledAt).getTime(), poll.id);
+      } else {
+        multi.zrem(scheduledPollsKey, poll.id);
+      }
+
+      await transaction(multi);
+      return poll;
+    },
+
+    async listPolls({ sessionCode, isActive } = {}) {
+      const polls = isActive
+        ? await getMany('poll', await client.smembers(activePollsKey))
+        : await list('poll');
+
+      return polls
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode)
+        .filter(poll => isActive === undefined || poll.isActive === isActive);
+    },
+
+    // Polls waiting for their scheduledAt, soonest first; with `dueBy`, only
+    // those whose time has come by then
+    async listScheduledPolls({ sessionCode, dueBy } = {}) {
+      const latest = dueBy === undefined ? '+inf' : new Date(dueBy).getTime();
+      const ids = await client.zrangebyscore(scheduledPollsKey, '-inf', latest);
+
+      return (await getMany('poll', ids))
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode);
+    },
+
+    // Poll history
+    async addHistory(entry) {
+      await client.rpush(historyKey, JSON.stringify(entry));
+      return entry;
+    },
+
+    async listHistory({ teacherId, sessionCode } = {}) {
+      return (await client.lrange(historyKey, 0, -1))
+        .map(value => JSON.parse(value))
+        .filter(poll => teacherId === undefined || poll.teacherId === teacherId)
+        .filter(poll => sessionCode === undefined || poll.sessionCode === sessionCode);
+    },
+
+    // Sessions (including their participants, chat and kicked students)
+    getSession: code => get('session', code),
+
+    saveSession: session => save('session', session.code, session),
+
+    deleteSession: code => remove('session', code),
+
+    async listSessions({ teacherId } = {}) {
+      return (await list('session'))
+        .filter(session => teacherId === undefined || session.teacherId === teacherId);
+    },
+
+    // Quiz sets
+    getQuiz: quizId => get('quiz', quizId),
+
+    saveQuiz: quiz => save('quiz', quiz.id, quiz),
+
+    async listQuizzes({ teacherId, sessionCode } = {}) {
+      return (await list('quiz'))
+        .filter(quiz => teacherId === undefined || quiz.teacherId === teacherId)
+        .filter(quiz => sessionCode === undefined || quiz.sessionCode === sessionCode);
+    },
+
+    // Webhook subscriptions
+    getWebhook: webhookId => get('webhook', webhookId),
+
+    saveWebhook: webhook => save('webhook', webhook.id, webhook),
+
+    deleteWebhook: webhookId => remove('webhook', webhookId),
+
+    async listWebhooks({ teacherId } = {}) {
+      return (await list('webhook'))
+        .filter(webhook => teacherId === undefined || webhook.teacherId === teacherId);
+    },
+
+    // Webhook delivery log
+    getDelivery: deliveryId => get('delivery', deliveryId),
+
+    async saveDelivery(delivery) {
+      const multi = client.multi()
+        .set(key('delivery', delivery.id), JSON.stringify(delivery))
+        .sadd(indexKey('delivery'), delivery.id)
+        .sadd(webhookDeliveriesKey(delivery.webhookId), delivery.id);
+
+      [pendingDeliveriesKey(), pendingDeliveriesKey(delivery.webhookId)].forEach(pendingKey => {
+        if (delivery.status === 'pending') {
+          multi.sadd(pendingKey, delivery.id);
+        } else {
+          multi.srem(pendingKey, delivery.id);
+        }
+      });
+
+      await transaction(multi);
+      return delivery;
+    },
+
+    async deleteDelivery(deliveryId) {
+      const delivery = await get('delivery', deliveryId);
+      if (!delivery) return false;
+
+      await transaction(client.multi()
+        .del(key('delivery', deliveryId))
+        .srem(indexKey('delivery'), deliveryId)
+        .srem(webhookDeliveriesKey(delivery.webhookId), deliveryId)
+        .srem(pendingDeliveriesKey(), deliveryId)
+        .srem(pendingDeliveriesKey(delivery.webhookId), deliveryId));
+      return true;
+    },
+
+    async listDeliveries({ webhookId, status } = {}) {
+      let ids;
+      if (status === 'pending') {
+        ids = await client.smembers(pendingDeliveriesKey(webhookId));
+      } else if (webhookId !== undefined) {
+        ids = await client.smembers(webhookDeliveriesKey(webhookId));
+      } else {
+        ids = await client.smembers(indexKey('delivery'));
+      }
+
+      return (await getMany('delivery', ids))
+        .filter(delivery => webhookId === undefined || delivery.webhookId === webhookId)
+        .filter(delivery => status === undefined || delivery.status === status);
+    },
+
+    // How many deliveries a webhook has, or how many of them are pending
+    async countDeliveries({ webhookId, status }) {
+      return client.scard(status === 'pending' ? pendingDeliveriesKey(webhookId) : webhookDeliveriesKey(webhookId));
+    },
+
+    // Client events, numbered in order. Only the latest `maxEvents` are kept.
+    async appendEvent(entry, { maxEvents }) {
+      const id = await client.eval(APPEND_EVENT_SCRIPT, 2, lastEventIdKey, eventsKey, JSON.stringify(entry), maxEvents);
+      return { id, ...entry };
+    },
+
+    async listEvents({ since = 0 } = {}) {
+      return (await client.lrange(eventsKey, 0, -1))
+        .map(value => JSON.parse(value))
+        .filter(entry => entry.id > since);
+    },
+
+    async getLastEventId() {
+      return Number(await client.get(lastEventIdKey)) || 0;
+    },
+
+    // Question bank
+    getBankQuestion: questionId => get('bankQuestion', questionId),
+
+    saveBankQuestion: question => save('bankQuestion', question.id, question),
+
+    deleteBankQuestion: questionId => remove('bankQuestion', questionId),
+
+    async listBankQuestions({ teacherId } = {}) {
+      return (await list('bankQuestion'))
+        .filter(question => teacherId === undefined || question.teacherId === teacherId);
+    }
+  };
+}
+
+module.exports = { createRedisStore };
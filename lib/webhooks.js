@@ -0,0 +1,573 @@
+// Outbound webhooks: teachers subscribe a URL to poll lifecycle events and
+// get a signed JSON POST for each one, so integrations (an LMS, a Slack bot)
+// do not need to keep a Socket.io connection open.
+//
+// Each request carries:
+//   X-Webhook-Id         the delivery id (the same across retries, for de-duplication)
+//   X-Webhook-Event      the event name, e.g. poll.ended
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>
+//
+// Any 2xx answer counts as delivered. Failures are retried with backoff and
+// every attempt is kept in the delivery log, where failed deliveries can be
+// replayed. Delivery is at least once: receivers should ignore ids they have
+// already seen. Retries are kept by one instance, the timer owner (see
+// lib/engine.js); others announce failed deliveries for it to retry.
+//
+// Receivers must be on the public internet. A webhook aimed at this server's
+// own network (loopback, private ranges, link-local addresses such as the
+// cloud metadata service at 169.254.169.254) would let anyone who can sign in
+// make requests there, so such addresses are refused when the webhook is
+// saved and again each time a request is sent. Redirects are not followed (a
+// 3xx answer is a failed delivery) and response bodies are not kept. Set
+// WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to receivers on a local network
+// during development.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./storage');
+const { pubsub } = require('./pubsub');
+const { createPollResponse } = require('./serializers');
+
+// Webhook event -> engine domain event
+const WEBHOOK_EVENTS = {
+  'poll.created': 'pollCreated',
+  'poll.scheduled': 'pollScheduled',
+  'poll.started': 'pollStarted',
+  'response.submitted': 'responseSubmitted',
+  'poll.ended': 'pollEnded',
+  'participant.joined': 'participantJoined',
+  'participant.kicked': 'participantKicked'
+};
+
+// Seconds to wait before each retry; a delivery fails for good after the last
+const RETRY_DELAYS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60];
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_WEBHOOKS_PER_TEACHER = 20;
+const MAX_DELIVERIES_PER_WEBHOOK = 200; // oldest finished deliveries are dropped
+const MAX_PENDING_PER_WEBHOOK = 50; // beyond this the oldest retries are given up
+const PRUNE_MARGIN = 20; // how far over its size the log may grow before pruning
+const RETRY_CHANNEL = 'webhook-retries';
+const MIN_SECRET_LENGTH = 16;
+
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Addresses a webhook may not reach: special-use ranges that are not on the
+// public internet
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const retryTimers = new Map();
+let keepingRetries = false; // whether this instance is the one retrying
+let retrySubscription = null;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isPublicAddress(address) {
+  if (ALLOW_PRIVATE_URLS) return true;
+
+  // IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4 ranges
+  return !privateAddresses.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// URL hostnames keep the brackets around IPv6 addresses
+function getHost(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// dns.lookup() for requests to receivers, failing when the hostname resolves
+// to an address webhooks may not reach. Connecting to the address checked
+// here means the name cannot be pointed somewhere else in between.
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// null when the URL's host resolves to public addresses only, otherwise the
+// reason it cannot be used
+function checkReceiver(url) {
+  return new Promise(resolve => {
+    lookupPublic(getHost(new URL(url)), { all: true }, error => {
+      resolve(error ? `URL must point to a public address (${error.message})` : null);
+    });
+  });
+}
+
+// A webhook without its secret, safe to list
+function createWebhookResponse({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Validate a webhook's url, events, description, active flag and secret.
+// Returns the cleaned-up fields or { error }.
+function configureWebhook(current, updates = {}) {
+  const webhook = { ...current };
+
+  if (updates.url !== undefined) {
+    let url;
+    try {
+      url = new URL(updates.url);
+    } catch (error) {
+      return { error: 'URL must be a valid http or https URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: 'URL must be a valid http or https URL' };
+    }
+    webhook.url = url.toString();
+  }
+
+  if (updates.events !== undefined) {
+    const names = Object.keys(WEBHOOK_EVENTS);
+    if (!Array.isArray(updates.events) || updates.events.length === 0 ||
+      !updates.events.every(event => names.includes(event))) {
+      return { error: `Events must be a list of: ${names.join(', ')}` };
+    }
+    webhook.events = Array.from(new Set(updates.events));
+  }
+
+  if (updates.description !== undefined) {
+    if (typeof updates.description !== 'string' || updates.description.length > 200) {
+      return { error: 'Description must be text of at most 200 characters' };
+    }
+    webhook.description = updates.description.trim();
+  }
+
+  if (updates.active !== undefined) {
+    webhook.active = Boolean(updates.active);
+  }
+
+  if (updates.secret !== undefined) {
+    if (typeof updates.secret !== 'string' || updates.secret.length < MIN_SECRET_LENGTH || updates.secret.length > 200) {
+      return { error: `Secret must be text of ${MIN_SECRET_LENGTH} to 200 characters` };
+    }
+    webhook.secret = updates.secret;
+  }
+
+  return webhook;
+}
+
+// Subscriptions
+
+async function createWebhook(teacherId, body) {
+  if (body.url === undefined) {
+    return { status: 400, error: 'URL is required' };
+  }
+
+  const existing = await store.listWebhooks({ teacherId });
+  if (existing.length >= MAX_WEBHOOKS_PER_TEACHER) {
+    return { status: 409, error: `You can have at most ${MAX_WEBHOOKS_PER_TEACHER} webhooks` };
+  }
+
+  const configured = configureWebhook({
+    events: Object.keys(WEBHOOK_EVENTS),
+    description: '',
+    active: true
+  }, body);
+  if (configured.error) {
+    return { status: 400, error: configured.error };
+  }
+
+  const unreachable = await checkReceiver(configured.url);
+  if (unreachable) {
+    return { status: 400, error: unreachable };
+  }
+
+  const webhook = {
+    ...configured,
+    id: uuidv4(),
+    teacherId,
+    secret: configured.secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  await store.saveWebhook(webhook);
+
+  // The secret is only shown here
+  return { webhook: createWebhookResponse(webhook), secret: webhook.secret };
+}
+
+async function getOwnedWebhook(webhookId, teacherId) {
+  const webhook = await store.getWebhook(webhookId);
+
+  if (!webhook) {
+    return { status: 404, error: 'Webhook not found' };
+  }
+
+  if (webhook.teacherId !== teacherId) {
+    return { status: 403, error: 'You can only manage your own webhooks' };
+  }
+
+  return { webhook };
+}
+
+async function listWebhooks(teacherId) {
+  const webhooks = await store.listWebhooks({ teacherId });
+  return webhooks
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(createWebhookResponse);
+}
+
+async function updateWebhook(webhookId, teacherId, updates) {
+  const { webhook, status, error } = await getOwnedWebhook(webhookId, teacherId);
+  if (error) return { status, error };
+
+  const configured = configureWebhook(webhook, updates);
+  if (configured.error) {
+    return { status: 400, error: configured.error };
+  }
+
+  if (updates.url !== undefined) {
+    const unreachable = await checkReceiver(configured.url);
+    if (unreachable) {
+      return { status: 400, error: unreachable };
+    }
+  }
+
+  await store.saveWebhook(configured);
+  return { webhook: createWebhookResponse(configured) };
+}
+
+async function deleteWebhook(webhookId, teacherId) {
+  const { status, error } = await getOwnedWebhook(webhookId, teacherId);
+  if (error) return { status, error };
+
+  await store.deleteWebhook(webhookId);
+
+  const deliveries = await store.listDeliveries({ webhookId });
+  for (const delivery of deliveries) {
+    cancelRetry(delivery.id);
+    await store.deleteDelivery(delivery.id);
+  }
+
+  return {};
+}
+
+// Delivery
+
+function cancelRetry(deliveryId) {
+  clearTimeout(retryTimers.get(deliveryId));
+  retryTimers.delete(deliveryId);
+}
+
+function scheduleRetry(delivery) {
+  if (!keepingRetries) {
+    pubsub.publish(RETRY_CHANNEL, { deliveryId: delivery.id }).catch(error => {
+      console.error('Error announcing webhook retry:', error);
+    });
+    return;
+  }
+
+  cancelRetry(delivery.id);
+
+  const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+  const timeout = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    attemptDelivery(delivery.id).catch(error => {
+      console.error('Error delivering webhook:', error);
+    });
+  }, delay);
+  timeout.unref();
+  retryTimers.set(delivery.id, timeout);
+}
+
+// POST `body` to `url`. Resolves { statusCode } or { error }; never rejects.
+function postJson(url, body, headers) {
+  return new Promise(resolve => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    // IP addresses are connected to without a lookup
+    const host = getHost(target);
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      resolve({ error: `${host} is a private address` });
+      return;
+    }
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'live-polling-webhooks',
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT,
+      lookup: lookupPublic
+    }, response => {
+      response.resume();
+      resolve({ statusCode: response.statusCode });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', error => resolve({ error: error.message }));
+    request.end(body);
+  });
+}
+
+// Make one attempt at a pending delivery and record it. On failure the next
+// attempt is scheduled, until the retries run out.
+async function attemptDelivery(deliveryId) {
+  const delivery = await store.getDelivery(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return delivery;
+
+  const webhook = await store.getWebhook(delivery.webhookId);
+  if (!webhook) return delivery;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const result = await postJson(webhook.url, body, {
+    'X-Webhook-Id': delivery.id,
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+  });
+
+  const succeeded = !result.error && result.statusCode >= 200 && result.statusCode < 300;
+
+  delivery.attempts.push({
+    at: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    statusCode: result.statusCode ?? null,
+    error: result.error ?? (succeeded ? null : `Receiver answered ${result.statusCode}`)
+  });
+
+  // Retries count from the first attempt after the delivery was (re)queued
+  const retriesUsed = delivery.attempts.length - (delivery.retryFrom || 0) - 1;
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+  } else if (retriesUsed < RETRY_DELAYS.length) {
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS[retriesUsed] * 1000).toISOString();
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+  }
+
+  await store.saveDelivery(delivery);
+
+  if (delivery.status === 'pending') {
+    scheduleRetry(delivery);
+  }
+
+  return delivery;
+}
+
+// Drop the oldest finished deliveries beyond the log size, and give up on
+// the oldest retries beyond the pending limit (they can still be replayed).
+// The log is counted first, so most events load nothing.
+async function pruneDeliveries(webhookId) {
+  const [total, pending] = await Promise.all([
+    store.countDeliveries({ webhookId }),
+    store.countDeliveries({ webhookId, status: 'pending' })
+  ]);
+  if (total <= MAX_DELIVERIES_PER_WEBHOOK + PRUNE_MARGIN && pending <= MAX_PENDING_PER_WEBHOOK) return;
+
+  const deliveries = (await store.listDeliveries({ webhookId }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const waiting = deliveries.filter(delivery => delivery.status === 'pending');
+  for (const delivery of waiting.slice(0, Math.max(0, waiting.length - MAX_PENDING_PER_WEBHOOK))) {
+    cancelRetry(delivery.id);
+    delivery.status = 'failed';
+    delivery.error = 'Too many deliveries were waiting to be retried';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    await store.saveDelivery(delivery);
+  }
+
+  const finished = deliveries.filter(delivery => delivery.status !== 'pending');
+  for (const delivery of finished.slice(0, Math.max(0, deliveries.length - MAX_DELIVERIES_PER_WEBHOOK))) {
+    await store.deleteDelivery(delivery.id);
+  }
+}
+
+// Queue `event` for every active webhook of the teacher subscribed to it
+async function dispatch(teacherId, event, data) {
+  const webhooks = (await store.listWebhooks({ teacherId }))
+    .filter(webhook => webhook.active && webhook.events.includes(event));
+
+  for (const webhook of webhooks) {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    await store.saveDelivery({
+      id,
+      webhookId: webhook.id,
+      teacherId,
+      event,
+      payload: { id, event, createdAt, data },
+      status: 'pending',
+      attempts: [],
+      retryFrom: 0,
+      nextAttemptAt: createdAt,
+      createdAt,
+      completedAt: null,
+      error: null
+    });
+
+    attemptDelivery(id)
+      .then(() => pruneDeliveries(webhook.id))
+      .catch(error => {
+        console.error('Error delivering webhook:', error);
+      });
+  }
+}
+
+// Delivery log
+
+async function listDeliveries(webhookId, teacherId, { status } = {}) {
+  const { error, status: errorStatus } = await getOwnedWebhook(webhookId, teacherId);
+  if (error) return { status: errorStatus, error };
+
+  const deliveries = await store.listDeliveries({ webhookId, status });
+  return { deliveries: deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt)) };
+}
+
+// Send a failed delivery again, with a fresh set of retries. Returns the
+// delivery after the first new attempt.
+async function replayDelivery(deliveryId, teacherId) {
+  const delivery = await store.getDelivery(deliveryId);
+
+  if (!delivery || delivery.teacherId !== teacherId) {
+    return { status: 404, error: 'Delivery not found' };
+  }
+
+  if (delivery.status !== 'failed') {
+    return { status: 409, error: 'Only failed deliveries can be replayed' };
+  }
+
+  delivery.status = 'pending';
+  delivery.retryFrom = delivery.attempts.length;
+  delivery.nextAttemptAt = new Date().toISOString();
+  delivery.completedAt = null;
+  delivery.error = null;
+  await store.saveDelivery(delivery);
+
+  return { delivery: await attemptDelivery(delivery.id) };
+}
+
+// Replay every failed delivery of a webhook
+async function replayFailedDeliveries(webhookId, teacherId) {
+  const { error, status } = await getOwnedWebhook(webhookId, teacherId);
+  if (error) return { status, error };
+
+  const failed = await store.listDeliveries({ webhookId, status: 'failed' });
+  const deliveries = [];
+  for (const delivery of failed) {
+    deliveries.push((await replayDelivery(delivery.id, teacherId)).delivery);
+  }
+
+  return { deliveries };
+}
+
+// Start keeping retries on this instance, when it becomes the timer owner:
+// schedule the ones that were pending (left by the previous owner, or from
+// before the server last stopped) and those other instances announce
+async function resumePendingDeliveries() {
+  keepingRetries = true;
+
+  if (!retrySubscription) {
+    retrySubscription = pubsub.subscribe(RETRY_CHANNEL, ({ deliveryId }) => {
+      if (!keepingRetries) return;
+
+      store.getDelivery(deliveryId).then(delivery => {
+        if (delivery && delivery.status === 'pending') scheduleRetry(delivery);
+      }).catch(error => {
+        console.error('Error scheduling webhook retry:', error);
+      });
+    });
+  }
+  await retrySubscription;
+
+  const pending = await store.listDeliveries({ status: 'pending' });
+  pending.forEach(scheduleRetry);
+  return pending.length;
+}
+
+// Stop keeping retries, when this instance stops being the timer owner
+function stopRetries() {
+  keepingRetries = false;
+  retryTimers.forEach(timeout => clearTimeout(timeout));
+  retryTimers.clear();
+}
+
+// Turn the engine's domain events into webhook deliveries
+function attachWebhooks(events) {
+  function on(event, teacherIdOf, dataOf) {
+    events.on(WEBHOOK_EVENTS[event], payload => {
+      const teacherId = teacherIdOf(payload);
+      if (!teacherId) return;
+
+      dispatch(teacherId, event, dataOf(payload)).catch(error => {
+        console.error('Error queueing webhook:', error);
+      });
+    });
+  }
+
+  const pollData = ({ poll }) => ({ poll: createPollResponse(poll) });
+
+  on('poll.created', ({ poll }) => poll.teacherId, pollData);
+  on('poll.scheduled', ({ poll }) => poll.teacherId, pollData);
+  on('poll.started', ({ poll }) => poll.teacherId, pollData);
+  on('response.submitted', ({ poll }) => poll.teacherId, ({ poll, response }) => ({
+    pollId: poll.id,
+    sessionCode: poll.sessionCode,
+    question: poll.question,
+    response
+  }));
+  on('poll.ended', ({ poll }) => poll.teacherId, ({ poll }) => ({
+    poll: createPollResponse(poll),
+    finalResults: poll.finalResults,
+    summary: poll.summary,
+    analytics: poll.analytics
+  }));
+  on('participant.joined', ({ session }) => session.teacherId, ({ session, participant, resumed }) => ({
+    sessionCode: session.code,
+    participant,
+    resumed
+  }));
+  on('participant.kicked', ({ session }) => session.teacherId, ({ session, studentId, ban }) => ({
+    sessionCode: session.code,
+    studentId,
+    ban
+  }));
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MIN_SECRET_LENGTH,
+  sign,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  replayDelivery,
+  replayFailedDeliveries,
+  resumePendingDeliveries,
+  stopRetries,
+  attachWebhooks
+};
@@ -1,664 +1,343 @@
-const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const { v4: uuidv4 } = require('uuid');
-
-// Initialize Express app
-const app = express();
+const engine = require('./lib/engine');
+const { createApp, ALLOWED_ORIGINS } = require('./lib/app');
+const { rooms, roomsFor, attachBroadcasts } = require('./lib/broadcasts');
+const {
+  getTimeLeft,
+  createScheduleResponse,
+  createPollResponse,
+  createStudentPollResponse
+} = require('./lib/serializers');
+const {
+  getSession,
+  listParticipants,
+  createSessionResponse
+} = require('./lib/sessions');
+const { getChatSettings, getPublicChatSettings, getMute } = require('./lib/chat');
+const { getStaffRole, getPermissions, listStaff } = require('./lib/permissions');
+const { issueToken, authenticateSocket } = require('./lib/auth');
+const { ERROR_CODES, errorCodeFor, socketEvents, validate } = require('./lib/schemas');
+const { createSocketRateLimiter } = require('./lib/rateLimit');
+const { pubsub } = require('./lib/pubsub');
+const { createPubSubAdapter } = require('./lib/pubsub/socketAdapter');
+const { resumePendingDeliveries, stopRetries } = require('./lib/webhooks');
+
+// Initialize Express app (REST API and SSE/long-poll events; see lib/app.js)
+const app = createApp();
 const server = http.createServer(app);
 
 // Configure Socket.io with CORS
 const io = socketIo(server, {
   cors: {
-    origin: [
-      "http://localhost:5173", 
-      "http://localhost:5174", 
-      "http://localhost:3000",
-      "https://live-polling-gules.vercel.app",
-      "https://*.vercel.app"
-    ],
+    origin: ALLOWED_ORIGINS,
     methods: ["GET", "POST"],
     credentials: true
   }
 });
 
-// Middleware
-app.use(helmet());
-app.use(cors({
-  origin: [
-    "http://localhost:5173", 
-    "http://localhost:5174", 
-    "http://localhost:3000",
-    "https://live-polling-gules.vercel.app",
-    "https://*.vercel.app"
-  ],
-  credentials: true
-}));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api', limiter);
-
-// In-memory data storage (in production, use a database)
-let polls = new Map();
-let pollHistory = [];
-let activeParticipants = new Map();
-let chatMessages = [];
-let kickedOutStudents = new Set();
-let currentPoll = null;
-
-// Utility function to create safe poll response
-function createPollResponse(poll) {
-  if (!poll) return null;
-  
-  return {
-    id: poll.id,
-    question: poll.question,
-    options: poll.options,
-    duration: poll.duration,
-    correctAnswer: poll.correctAnswer, // Include correct answer for results
-    isActive: poll.isActive,
-    startTime: poll.startTime,
-    endTime: poll.endTime,
-    timeLeft: poll.timeLeft,
-    teacherId: poll.teacherId,
-    teacherName: poll.teacherName,
-    createdAt: poll.createdAt,
-    results: poll.results || {},
-    finalResults: poll.finalResults || {},
-    summary: poll.summary || null,
-    responses: poll.responses || {}
-  };
-}
+// Share rooms with the other instances (see lib/pubsub), so broadcasts and
+// disconnects reach sockets connected anywhere
+io.adapter(createPubSubAdapter(pubsub));
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// All poll, quiz, participant and chat logic lives in lib/engine.js. This
+// file only connects it to Socket.io: engine events go out to socket rooms,
+// and socket events call into the engine.
+attachBroadcasts(engine.events, (room, event, data) => io.to(room).emit(event, data));
 
-// Get current poll status
-app.get('/api/poll/current', (req, res) => {
-  try {
-    if (!currentPoll) {
-      return res.json({ poll: null, message: 'No active poll' });
-    }
-
-    res.json({
-      poll: createPollResponse(currentPoll),
-      participants: Array.from(activeParticipants.values()),
-      chatMessages
-    });
-
-  } catch (error) {
-    console.error('Error fetching current poll:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+// A kicked student is sent `kickedOut` by the broadcasts, then disconnected
+engine.events.on('participantKicked', ({ session, studentId }) => {
+  io.in(rooms.student(session.code, studentId)).disconnectSockets();
 });
 
-// Get poll history (Teacher only)
-app.get('/api/poll/history', (req, res) => {
-  try {
-    const { teacherId } = req.query;
-
-    if (!teacherId) {
-      return res.status(400).json({ error: 'Teacher ID is required' });
-    }
-
-    // Filter history for this teacher only
-    const teacherHistory = pollHistory.filter(poll => poll.teacherId === teacherId);
-
-    // Transform the data for frontend display
-    const formattedHistory = teacherHistory.map(poll => ({
-      id: poll.id,
-      question: poll.question,
-      options: poll.options,
-      results: poll.finalResults || poll.results,
-      summary: poll.summary,
-      totalVotes: poll.summary?.totalResponses || 0,
-      correctAnswer: poll.correctAnswer,
-      createdAt: poll.createdAt,
-      endTime: poll.endTime
-    }));
-
-    res.json({
-      history: formattedHistory,
-      total: formattedHistory.length
-    });
-
-  } catch (error) {
-    console.error('Error fetching poll history:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+// Likewise for a teacher taken off the session's staff
+engine.events.on('staffRemoved', ({ session, staffId }) => {
+  io.in(rooms.staff(session.code, staffId)).disconnectSockets();
 });
 
-// Get user response for a specific poll
-app.get('/api/poll/:pollId/response/:userId', (req, res) => {
-  try {
-    const { pollId, userId } = req.params;
-    
-    const poll = polls.get(pollId);
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
-    }
-
-    const userResponse = poll.responses[userId];
-    if (!userResponse) {
-      return res.json({ hasResponded: false, response: null });
-    }
-
-    res.json({
-      hasResponded: true,
-      response: userResponse.selectedOption,
-      isCorrect: userResponse.isCorrect,
-      correctAnswer: poll.options[poll.correctAnswer]
-    });
-
-  } catch (error) {
-    console.error('Error fetching user response:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+engine.events.on('sessionClosed', ({ session }) => {
+  io.in(session.code).socketsLeave(session.code);
 });
 
-// Create a new poll (Teacher only)
-app.post('/api/poll/create', (req, res) => {
-  try {
-    const { question, options, duration = 60, teacherId, teacherName, correctAnswer = 0 } = req.body;
-
-    // Validation
-    if (!question || !options || !Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({ 
-        error: 'Question and at least 2 options are required' 
-      });
-    }
-
-    if (!teacherId || !teacherName) {
-      return res.status(400).json({ 
-        error: 'Teacher ID and name are required' 
-      });
-    }
-
-    // Check if there's already an active poll
-    if (currentPoll && currentPoll.isActive) {
-      return res.status(409).json({ 
-        error: 'There is already an active poll. Please end it before creating a new one.' 
-      });
-    }
-
-    const pollId = uuidv4();
-    const poll = {
-      id: pollId,
-      question: question.trim(),
-      options: options.map(opt => opt.trim()).filter(opt => opt.length > 0),
-      duration: Math.min(Math.max(duration, 10), 300), // Between 10-300 seconds
-      correctAnswer: Math.max(0, Math.min(correctAnswer, options.length - 1)), // Validate correct answer index
-      isActive: false,
-      responses: {},
-      results: {},
-      startTime: null,
-      endTime: null,
-      timeLeft: duration,
-      teacherId,
-      teacherName,
-      createdAt: new Date().toISOString()
+// Every socket must present a token issued by /api/session/create or /api/participant/join
+io.use(authenticateSocket);
+
+// Wrap a socket event handler: check the socket's rate limit for the event
+// (lib/rateLimit.js) and the payload against the event's schema
+// (lib/schemas.js), then run the handler. A handler returns { status, error }
+// to refuse, or the data to acknowledge with. Results go back through the ack
+// callback when the client passed one ({ ok: true, ...data } or
+// { ok: false, code, error }); otherwise refusals are emitted as `errorEvent`.
+function handleSocketEvent(socket, eventName, handler, { errorEvent = 'error' } = {}) {
+  const schema = socketEvents[eventName];
+
+  return (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const data = args[0] === undefined && schema.type === 'object' ? {} : args[0];
+
+    const reject = problem => {
+      if (ack) {
+        ack({ ok: false, ...problem });
+      } else {
+        socket.emit(errorEvent, { action: eventName, ...problem });
+      }
     };
 
-    polls.set(pollId, poll);
-    currentPoll = poll;
-
-    res.status(201).json({ 
-      poll: createPollResponse(poll),
-      message: 'Poll created successfully'
-    });
-
-  } catch (error) {
-    console.error('Error creating poll:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Start a poll (Teacher only)
-app.post('/api/poll/:pollId/start', (req, res) => {
-  try {
-    const { pollId } = req.params;
-    const { teacherId } = req.body;
-
-    const poll = polls.get(pollId);
-    
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
-    }
-
-    if (poll.teacherId !== teacherId) {
-      return res.status(403).json({ error: 'Only the poll creator can start this poll' });
+    // Over the limit: tell the client, and drop sockets that keep flooding
+    const { allowed, retryAfter, abusive } = socket.rateLimiter.take(eventName);
+    if (!allowed) {
+      socket.emit('throttled', { event: eventName, retryAfter, disconnected: Boolean(abusive) });
+      if (ack) {
+        ack({ ok: false, code: ERROR_CODES.RATE_LIMITED, error: `Too many ${eventName} requests, try again in ${retryAfter}s`, retryAfter });
+      }
+      if (abusive) {
+        console.warn(`Disconnecting ${socket.id} for flooding ${eventName}`);
+        socket.disconnect(true);
+      }
+      return;
     }
 
-    if (poll.isActive) {
-      return res.status(409).json({ error: 'Poll is already active' });
+    const problem = validate(schema, data);
+    if (problem) {
+      reject(problem);
+      return;
     }
 
-    // Start the poll
-    poll.isActive = true;
-    poll.startTime = new Date().toISOString();
-    poll.endTime = new Date(Date.now() + poll.duration * 1000).toISOString();
-    poll.timeLeft = poll.duration;
-    poll.responses = {};
-    poll.results = {};
-
-    // Initialize results for each option
-    poll.options.forEach(option => {
-      poll.results[option] = { count: 0, participants: [] };
-    });
-
-    // Clear previous chat messages for new poll
-    chatMessages = [];
-
-    // Broadcast poll start to all clients
-    io.emit('pollStarted', {
-      poll: createPollResponse(poll),
-      participants: Array.from(activeParticipants.values())
-    });
-
-    // Start timer
-    const timer = setInterval(() => {
-      poll.timeLeft--;
-      
-      // Broadcast time update
-      io.emit('timerUpdate', { timeLeft: poll.timeLeft });
+    Promise.resolve(handler(data)).then((result = {}) => {
+      const { status, error, ...rest } = result;
 
-      if (poll.timeLeft <= 0) {
-        clearInterval(timer);
-        endPoll(poll);
+      if (error) {
+        reject({ code: errorCodeFor(status), error });
+      } else if (ack) {
+        ack({ ok: true, ...rest });
       }
-    }, 1000);
-
-    res.json({ 
-      poll: createPollResponse(poll),
-      message: 'Poll started successfully'
+    }).catch(error => {
+      console.error('Error handling socket event:', error);
+      reject({ code: ERROR_CODES.INTERNAL_ERROR, error: 'Internal server error' });
     });
+  };
+}
 
-  } catch (error) {
-    console.error('Error starting poll:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// End poll function
-function endPoll(poll) {
-  poll.isActive = false;
-  poll.endTime = new Date().toISOString();
-  poll.timeLeft = 0;
-
-  // Calculate final results with correct/incorrect analysis
-  const finalResults = {};
-  let totalResponses = 0;
-  let correctResponses = 0;
-
-  poll.options.forEach((option, index) => {
-    const count = poll.results[option]?.count || 0;
-    const isCorrect = index === poll.correctAnswer;
-    
-    finalResults[option] = {
-      count,
-      percentage: 0,
-      isCorrect
-    };
-    
-    totalResponses += count;
-    if (isCorrect) {
-      correctResponses += count;
-    }
-  });
+// Whether the student has a socket open on any instance
+async function isStudentConnected(sessionCode, studentId) {
+  const sockets = await io.in(rooms.student(sessionCode, studentId)).fetchSockets();
+  return sockets.length > 0;
+}
 
-  // Calculate percentages
-  if (totalResponses > 0) {
-    poll.options.forEach(option => {
-      finalResults[option].percentage = Math.round((finalResults[option].count / totalResponses) * 100);
-    });
-  }
+const TEACHER_ONLY = { status: 403, error: 'Only teachers can do this' };
 
-  // Add correct/incorrect summary
-  const correctPercentage = totalResponses > 0 ? Math.round((correctResponses / totalResponses) * 100) : 0;
-  const incorrectPercentage = 100 - correctPercentage;
-
-  poll.finalResults = finalResults;
-  poll.summary = {
-    totalResponses,
-    correctResponses,
-    incorrectResponses: totalResponses - correctResponses,
-    correctPercentage,
-    incorrectPercentage,
-    correctAnswer: poll.options[poll.correctAnswer]
-  };
+// Socket.io connection handling
+io.on('connection', (socket) => {
+  console.log('New client connected:', socket.id);
 
-  // Add to history
-  pollHistory.push({
-    ...poll,
-    participants: Array.from(activeParticipants.values())
-  });
+  socket.rateLimiter = createSocketRateLimiter();
 
-  // Broadcast poll end with all the calculated results
-  console.log('Poll ended. Broadcasting results:', {
-    finalResults,
-    summary: poll.summary,
-    totalResponses
-  });
+  const on = (eventName, handler, options) => {
+    socket.on(eventName, handleSocketEvent(socket, eventName, handler, options));
+  };
 
-  io.emit('pollEnded', {
-    poll: createPollResponse(poll),
-    results: finalResults,
-    summary: poll.summary
-  });
-}
+  // Clock sync: clients send their time and get the server's back, to work
+  // out the offset (and round trip) to apply to poll deadlines
+  on('syncTime', clientTime => ({ clientTime, serverTime: new Date().toISOString() }));
 
-// Submit response to poll (Student only)
-app.post('/api/poll/:pollId/response', (req, res) => {
-  try {
-    const { pollId } = req.params;
-    const { studentId, studentName, selectedOption } = req.body;
+  // Join as teacher: the session's owner or one of its staff
+  on('joinTeacher', async () => {
+    const { id: teacherId, name: teacherName, role, sessionCode } = socket.user;
+    const session = await getSession(sessionCode);
 
-    // Check if student is kicked out
-    if (kickedOutStudents.has(studentId)) {
-      return res.status(403).json({ error: 'You have been removed from this session' });
+    if (!session) {
+      return { status: 404, error: 'Session not found' };
     }
 
-    const poll = polls.get(pollId);
-    
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    const staffRole = role === 'teacher' ? getStaffRole(session, teacherId) : null;
+    if (!staffRole) {
+      return { status: 403, error: 'Only the session owner or its staff can join as teacher' };
     }
 
-    if (!poll.isActive) {
-      return res.status(400).json({ error: 'Poll is not currently active' });
-    }
+    roomsFor(socket.user).forEach(room => socket.join(room));
+    socket.sessionCode = session.code;
+    socket.teacherId = teacherId;
+    socket.teacherName = teacherName;
+    socket.role = 'teacher';
 
-    if (!poll.options.includes(selectedOption)) {
-      return res.status(400).json({ error: 'Invalid option selected' });
-    }
+    console.log(`Teacher ${teacherName} joined session ${session.code} as ${staffRole}`);
 
-    // Check if student already responded
-    if (poll.responses[studentId]) {
-      return res.status(409).json({ error: 'You have already responded to this poll' });
-    }
+    const currentPoll = await engine.getCurrentPoll(session);
+    const scheduledPolls = await engine.getScheduledPolls(session.code);
 
-    // Record response
-    poll.responses[studentId] = {
-      studentId,
-      studentName,
-      selectedOption,
-      timestamp: new Date().toISOString(),
-      isCorrect: poll.options[poll.correctAnswer] === selectedOption
+    // Send current state
+    const state = {
+      role: 'teacher',
+      staffRole,
+      permissions: getPermissions(staffRole),
+      staff: listStaff(session),
+      session: createSessionResponse(session, currentPoll),
+      currentPoll: currentPoll ? createPollResponse(currentPoll) : null,
+      scheduledPolls: scheduledPolls.map(createPollResponse),
+      participants: listParticipants(session),
+      chatMessages: session.chatMessages,
+      chat: getChatSettings(session),
+      mutedStudents: session.mutedStudents || {}
     };
 
-    // Update results
-    if (!poll.results[selectedOption]) {
-      poll.results[selectedOption] = { count: 0, participants: [] };
-    }
-    poll.results[selectedOption].count++;
-    poll.results[selectedOption].participants.push({ studentId, studentName });
-
-    console.log(`Response recorded: ${studentName} selected ${selectedOption}. Current results:`, poll.results);
-
-    // Broadcast updated results
-    io.emit('responseSubmitted', {
-      poll: createPollResponse(poll),
-      results: poll.results,
-      newResponse: {
-        studentId,
-        studentName,
-        selectedOption
-      }
-    });
-
-    res.json({ 
-      message: 'Response submitted successfully',
-      isCorrect: poll.options[poll.correctAnswer] === selectedOption
-    });
+    socket.emit('connectionEstablished', state);
+    return state;
+  }, { errorEvent: 'joinError' });
 
-  } catch (error) {
-    console.error('Error submitting response:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get user's response for a specific poll (Student only)
-app.get('/api/poll/:pollId/user/:userId/response', (req, res) => {
-  try {
-    const { pollId, userId } = req.params;
+  // Join as participant/student
+  on('joinParticipant', async () => {
+    const { id: studentId, name: studentName, role } = socket.user;
+    const { session, participant, resumed, status, error, kickedOut, ban } = await engine.connectParticipant(socket.user);
 
-    const poll = polls.get(pollId);
-    
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    if (kickedOut) {
+      socket.emit('kickedOut', { reason: error, expiresAt: ban.expiresAt });
     }
 
-    const userResponse = poll.responses[userId];
-    
-    if (!userResponse) {
-      return res.json({ 
-        hasResponded: false,
-        message: 'User has not responded to this poll'
-      });
+    if (error) {
+      return { status, error };
     }
 
-    res.json({
-      hasResponded: true,
-      response: userResponse.selectedOption,
-      isCorrect: userResponse.isCorrect,
-      correctAnswer: poll.options[poll.correctAnswer],
-      timestamp: userResponse.timestamp
-    });
+    roomsFor(socket.user).forEach(room => socket.join(room));
+    socket.sessionCode = session.code;
+    socket.studentId = studentId;
+    socket.studentName = studentName;
+    socket.role = 'student';
 
-  } catch (error) {
-    console.error('Error fetching user response:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    const currentPoll = await engine.getCurrentPoll(session);
+    const scheduledPolls = await engine.getScheduledPolls(session.code);
 
-// Join as participant (Student)
-app.post('/api/participant/join', (req, res) => {
-  try {
-    const { studentId, studentName } = req.body;
+    // Send current state to the participant, including their own answer and
+    // the time left so a reconnecting device can pick up where it left off.
+    // The resume token is a fresh copy of their session token to reconnect with.
+    const state = {
+      role: 'student',
+      resumed,
+      resumeToken: issueToken({ id: studentId, name: studentName, role, sessionCode: session.code }),
+      participant,
+      session: createSessionResponse(session, currentPoll),
+      currentPoll: createStudentPollResponse(currentPoll, studentId),
+      timeLeft: currentPoll && currentPoll.isActive ? getTimeLeft(currentPoll) : null,
+      upcomingPolls: scheduledPolls.map(createScheduleResponse),
+      participants: listParticipants(session),
+      chatMessages: session.chatMessages,
+      chat: getPublicChatSettings(session),
+      mute: getMute(session, studentId)
+    };
 
-    if (!studentId || !studentName) {
-      return res.status(400).json({ error: 'Student ID and name are required' });
-    }
+    socket.emit('connectionEstablished', state);
+    return state;
+  }, { errorEvent: 'joinError' });
 
-    // Check if student is kicked out
-    if (kickedOutStudents.has(studentId)) {
-      return res.status(403).json({ error: 'You have been removed from this session' });
+  // Handle chat messages. Refused messages (muted, slow mode, too long, chat
+  // locked) are reported to the sender only.
+  on('sendMessage', async data => {
+    if (!socket.sessionCode) {
+      return { status: 409, error: 'Join the session before chatting' };
     }
 
-    // Add to active participants
-    activeParticipants.set(studentId, {
-      id: studentId,
-      name: studentName,
-      role: 'student',
-      joinedAt: new Date().toISOString()
-    });
+    return engine.sendMessage(socket.user, data.message);
+  }, { errorEvent: 'chatError' });
 
-    res.json({ 
-      message: 'Successfully joined as participant',
-      participant: activeParticipants.get(studentId)
-    });
+  // Ban list (Teacher only): kickParticipant (optionally for `duration`
+  // seconds), listBans, reinstateParticipant
+  on('kickParticipant', async data => {
+    if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-  } catch (error) {
-    console.error('Error joining as participant:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    return engine.kickParticipant(socket.user.id, socket.sessionCode, data.studentId, data);
+  });
 
-// Get chat messages
-app.get('/api/chat/messages', (req, res) => {
-  try {
-    res.json({ messages: chatMessages });
-  } catch (error) {
-    console.error('Error getting chat messages:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  on('listBans', async () => {
+    if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-// Get poll history (Teacher only)
-app.get('/api/poll/history', (req, res) => {
-  try {
-    res.json({ polls: pollHistory });
-  } catch (error) {
-    console.error('Error getting poll history:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    return engine.listSessionBans(socket.user.id, socket.sessionCode);
+  });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
+  on('reinstateParticipant', async data => {
+    if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-  // Join as teacher
-  socket.on('joinTeacher', (data) => {
-    const { teacherId, teacherName } = data;
-    socket.join('teachers');
-    socket.teacherId = teacherId;
-    socket.teacherName = teacherName;
-    socket.role = 'teacher';
-    
-    console.log(`Teacher ${teacherName} joined`);
-    
-    // Send current state
-    socket.emit('connectionEstablished', {
-      role: 'teacher',
-      currentPoll: currentPoll ? createPollResponse(currentPoll) : null,
-      participants: Array.from(activeParticipants.values()),
-      chatMessages
-    });
+    const { status, error } = await engine.reinstateParticipant(socket.user.id, socket.sessionCode, data.studentId);
+    return error ? { status, error } : { studentId: data.studentId };
   });
 
-  // Join as participant/student
-  socket.on('joinParticipant', (data) => {
-    const { studentId, studentName } = data;
-    
-    // Check if kicked out
-    if (kickedOutStudents.has(studentId)) {
-      socket.emit('kickedOut', { reason: 'You have been removed from this session' });
-      return;
-    }
-    
-    socket.join('participants');
-    socket.studentId = studentId;
-    socket.studentName = studentName;
-    socket.role = 'student';
-    
-    // Add to active participants
-    activeParticipants.set(studentId, {
-      id: studentId,
-      name: studentName,
-      role: 'student',
-      joinedAt: new Date().toISOString()
-    });
-    
-    console.log(`Student ${studentName} joined`);
-    
-    // Notify all clients of new participant
-    io.emit('participantJoined', {
-      participant: activeParticipants.get(studentId),
-      participants: Array.from(activeParticipants.values())
-    });
-    
-    // Send current state to new participant
-    socket.emit('connectionEstablished', {
-      role: 'student',
-      currentPoll: currentPoll ? createPollResponse(currentPoll) : null,
-      participants: Array.from(activeParticipants.values()),
-      chatMessages
-    });
+  // Teacher controls for a running poll: endPoll, pausePoll, resumePoll, extendPoll
+  Object.keys(engine.pollControls).forEach(action => {
+    on(`${action}Poll`, async data => {
+      if (socket.role !== 'teacher') return TEACHER_ONLY;
+
+      const { poll, status, error } = await engine.pollControls[action](data.pollId, socket.user.id, data.seconds);
+      return error ? { status, error } : { poll: createPollResponse(poll) };
+    }, { errorEvent: 'pollControlError' });
   });
 
-  // Handle chat messages
-  socket.on('sendMessage', (data) => {
-    const { message, senderName, senderRole, senderId } = data;
-    
-    // Check if sender is kicked out (for students)
-    if (senderRole === 'student' && kickedOutStudents.has(senderId)) {
-      return;
-    }
+  // Schedule controls for a poll that is not running: reschedulePoll, cancelScheduledPoll
+  [['reschedulePoll', 'reschedule'], ['cancelScheduledPoll', 'cancel']].forEach(([eventName, action]) => {
+    on(eventName, async data => {
+      if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-    const chatMessage = {
-      id: uuidv4(),
-      message: message.trim(),
-      senderName,
-      senderRole,
-      senderId,
-      timestamp: new Date().toISOString()
-    };
+      const { poll, status, error } = await engine.scheduleControls[action](data.pollId, socket.user.id, data.scheduledAt);
+      return error ? { status, error } : { poll: createPollResponse(poll) };
+    }, { errorEvent: 'pollControlError' });
+  });
 
-    chatMessages.push(chatMessage);
+  // Reveal controls: revealAnswer, updateRevealPolicy
+  on('revealAnswer', async data => {
+    if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-    // Keep only last 100 messages
-    if (chatMessages.length > 100) {
-      chatMessages = chatMessages.slice(-100);
-    }
+    const { poll, status, error } = await engine.revealAnswer(data.pollId, socket.user.id);
+    return error ? { status, error } : { poll: createPollResponse(poll) };
+  }, { errorEvent: 'pollControlError' });
+
+  on('updateRevealPolicy', async data => {
+    if (socket.role !== 'teacher') return TEACHER_ONLY;
 
-    // Broadcast to all clients
-    io.emit('newMessage', chatMessage);
+    const { poll, status, error } = await engine.updateRevealPolicy(data.pollId, socket.user.id, data.reveal);
+    return error ? { status, error } : { poll: createPollResponse(poll) };
+  }, { errorEvent: 'pollControlError' });
+
+  // Quiz controls: startQuiz, nextQuestion
+  [['startQuiz', 'start'], ['nextQuestion', 'next']].forEach(([eventName, action]) => {
+    on(eventName, async data => {
+      if (socket.role !== 'teacher') return TEACHER_ONLY;
+
+      const { status, error } = await engine.quizControls[action](data.quizId, socket.user.id);
+      return error ? { status, error } : { quizId: data.quizId };
+    }, { errorEvent: 'quizControlError' });
   });
 
-  // Handle kick participant (Teacher only)
-  socket.on('kickParticipant', (data) => {
-    if (socket.role !== 'teacher') return;
-    
-    const { studentId, reason = 'Removed by teacher' } = data;
-    
-    // Add to kicked out list
-    kickedOutStudents.add(studentId);
-    
-    // Remove from active participants
-    activeParticipants.delete(studentId);
-    
-    // Find and disconnect the student's socket
-    const studentSocket = Array.from(io.sockets.sockets.values())
-      .find(s => s.studentId === studentId);
-    
-    if (studentSocket) {
-      studentSocket.emit('kickedOut', { reason });
-      studentSocket.disconnect();
-    }
-    
-    // Broadcast participant removal
-    io.emit('participantRemoved', {
-      studentId,
-      reason,
-      participants: Array.from(activeParticipants.values())
-    });
+  // Chat moderation (Teacher only): deleteMessage, muteStudent, unmuteStudent,
+  // updateChatSettings
+  const chatModeration = {
+    deleteMessage: data => engine.deleteMessage(socket.user.id, socket.sessionCode, data.messageId),
+    muteStudent: data => engine.muteStudent(socket.user.id, socket.sessionCode, data.studentId, data),
+    unmuteStudent: data => engine.unmuteStudent(socket.user.id, socket.sessionCode, data.studentId),
+    updateChatSettings: data => engine.updateChatSettings(socket.sessionCode, socket.user.id, data.chat)
+  };
+
+  Object.entries(chatModeration).forEach(([eventName, moderate]) => {
+    on(eventName, async data => {
+      if (socket.role !== 'teacher') return TEACHER_ONLY;
+
+      const { status, error, mute, chat } = await moderate(data);
+      return error ? { status, error } : { mute, chat };
+    }, { errorEvent: 'chatError' });
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    
-    if (socket.role === 'student' && socket.studentId) {
-      // Remove from active participants
-      activeParticipants.delete(socket.studentId);
-      
-      // Notify all clients
-      io.emit('participantRemoved', {
-        studentId: socket.studentId,
-        reason: 'disconnected',
-        participants: Array.from(activeParticipants.values())
-      });
-    }
-  });
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+    if (socket.role !== 'student' || !socket.studentId) return;
+
+    isStudentConnected(socket.sessionCode, socket.studentId).then(connected => {
+      // Still connected from another tab or device
+      if (connected) return;
+
+      // Keep the student listed for the grace window, then remove them
+      return engine.disconnectParticipant(socket.sessionCode, socket.studentId);
+    }).catch(error => {
+      console.error('Error handling disconnect:', error);
+    });
+  });
 });
 
 // Start server
@@ -666,6 +345,23 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Socket.io server ready for connections`);
+
+  // Whichever instance wins the election keeps poll timers (restoring the
+  // ones that were running) and retries webhook deliveries
+  engine.addTimerOwnerJob({
+    start() {
+      resumePendingDeliveries().then(count => {
+        if (count > 0) console.log(`🔁 Resumed ${count} pending webhook deliveries`);
+      }).catch(error => {
+        console.error('Error resuming webhook deliveries:', error);
+      });
+    },
+    stop: stopRetries
+  });
+
+  engine.startTimerOwnership().catch(error => {
+    console.error('Error starting poll timer election:', error);
+  });
 });
 
 module.exports = server;
@@ -0,0 +1,88 @@
+// Operations on one session arriving at the same time. The store hands out
+// copies, so without the session lock (lib/locks.js) these would overwrite
+// each other's changes.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../lib/engine');
+const { store } = require('../lib/storage');
+
+const CLASS_SIZE = 25;
+
+async function startSession(teacherId) {
+  const session = await engine.createSession({ teacherId, teacherName: 'Teacher' });
+  return { session, teacher: { id: teacherId, role: 'teacher', sessionCode: session.code } };
+}
+
+async function startPoll(teacher) {
+  const { poll } = await engine.createPoll(teacher, { question: 'Q', options: ['a', 'b'], duration: 60 });
+  await engine.startPoll(poll.id, teacher.id);
+  return poll;
+}
+
+function joinAll(sessionCode) {
+  return Promise.all(Array.from({ length: CLASS_SIZE }, (_, index) =>
+    engine.joinSession(null, { studentName: `Student ${index}`, sessionCode })));
+}
+
+test('students joining at once are all kept', async () => {
+  const { session } = await startSession('join-teacher');
+
+  await joinAll(session.code);
+
+  const stored = await store.getSession(session.code);
+  assert.equal(Object.keys(stored.participants).length, CLASS_SIZE);
+});
+
+test('answers submitted at once are all counted', async () => {
+  const { session, teacher } = await startSession('answer-teacher');
+  const joined = await joinAll(session.code);
+  const poll = await startPoll(teacher);
+
+  const results = await Promise.all(joined.map(({ participant }, index) => engine.submitResponse(
+    { id: participant.id, name: participant.name, role: 'student', sessionCode: session.code },
+    poll.id,
+    index % 2 === 0 ? 'a' : 'b'
+  )));
+  assert.ok(results.every(result => !result.error));
+
+  const stored = await store.getPoll(poll.id);
+  assert.equal(Object.keys(stored.responses).length, CLASS_SIZE);
+  assert.equal(stored.results.a.count + stored.results.b.count, CLASS_SIZE);
+});
+
+test('a poll ended twice at once ends once', async () => {
+  const { session, teacher } = await startSession('end-teacher');
+  const [{ participant }] = await joinAll(session.code);
+  const poll = await startPoll(teacher);
+  await engine.submitResponse({ id: participant.id, name: participant.name, role: 'student', sessionCode: session.code }, poll.id, 'a');
+
+  let announced = 0;
+  const onEnded = ({ poll: ended }) => {
+    if (ended.id === poll.id) announced++;
+  };
+  engine.events.on('pollEnded', onEnded);
+
+  const ended = await Promise.all([engine.endPoll(poll.id), engine.endPoll(poll.id)]);
+  engine.events.off('pollEnded', onEnded);
+
+  assert.equal(ended.filter(Boolean).length, 1);
+  assert.equal(announced, 1);
+  assert.equal((await store.listHistory({ sessionCode: session.code })).length, 1);
+
+  const stored = await store.getSession(session.code);
+  assert.equal(stored.scoreboard[participant.id].answered, 1);
+});
+
+test('an expired poll swept while the teacher ends it ends once', async () => {
+  const { session, teacher } = await startSession('sweep-teacher');
+  const poll = await startPoll(teacher);
+
+  // Move the deadline into the past, as if the poll had run out
+  const stored = await store.getPoll(poll.id);
+  stored.endTime = new Date(Date.now() - 1000).toISOString();
+  await store.savePoll(stored);
+
+  await Promise.all([engine.endExpiredPolls(), engine.pollControls.end(poll.id, teacher.id)]);
+
+  assert.equal((await store.listHistory({ sessionCode: session.code })).length, 1);
+});
@@ -0,0 +1,128 @@
+// The numbered event feed behind SSE and long-polling: replay from a cursor,
+// resuming after the log was lost, events published on another instance, and
+// streams ended by an event such as a teacher's removal from the staff
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../lib/eventStream');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { createPubSub } = require('../lib/pubsub');
+const { createMemoryBus } = require('../lib/pubsub/memory');
+
+// Two instances sharing one store and one pub/sub bus
+function createInstances() {
+  const store = createMemoryStore();
+  const bus = createMemoryBus();
+  return [1, 2].map(() => createEventStream({ store, pubsub: createPubSub({ driver: 'memory', bus }) }));
+}
+
+function request({ since, lastEventId } = {}) {
+  return {
+    query: since === undefined ? {} : { since: String(since) },
+    get: header => (header === 'Last-Event-ID' ? lastEventId : undefined)
+  };
+}
+
+// A response that collects what is written, and resolves `body` on json()
+function response() {
+  const res = new EventEmitter();
+  res.written = '';
+  res.body = new Promise(resolve => {
+    res.json = resolve;
+  });
+  res.set = () => res;
+  res.flushHeaders = () => {};
+  res.write = chunk => {
+    res.written += chunk;
+  };
+  res.end = () => {
+    res.ended = true;
+    res.emit('close');
+  };
+  return res;
+}
+
+test('a long-poll answers with the events after its cursor, in its rooms only', async () => {
+  const [events] = createInstances();
+  await events.publish('session:ABC123', 'pollStarted', { pollId: 'p1' });
+  await events.publish('teacher:t1', 'responseSubmitted', { pollId: 'p1' });
+  await events.publish('session:ABC123', 'pollEnded', { pollId: 'p1' });
+
+  const res = response();
+  await events.longPollHandler(request({ since: 1 }), res, { rooms: ['session:ABC123'] });
+  const body = await res.body;
+
+  assert.deepEqual(body.events.map(({ id, event }) => [id, event]), [[3, 'pollEnded']]);
+  assert.equal(body.lastEventId, 3);
+});
+
+test('a cursor ahead of the log starts over from the oldest event', async () => {
+  const [events] = createInstances();
+  await events.publish('session:ABC123', 'pollStarted', { pollId: 'p1' });
+
+  const res = response();
+  await events.longPollHandler(request({ since: 40 }), res, { rooms: ['session:ABC123'] });
+  const body = await res.body;
+
+  assert.deepEqual(body.events.map(({ id }) => id), [1]);
+  assert.equal(body.lastEventId, 1);
+});
+
+test('a waiting long-poll wakes for an event published on another instance', async () => {
+  const [first, second] = createInstances();
+
+  const res = response();
+  await first.longPollHandler(request({ since: 0 }), res, { rooms: ['session:ABC123'], maxWait: 5000 });
+  await second.publish('session:XYZ789', 'pollStarted', { pollId: 'other' });
+  await second.publish('session:ABC123', 'pollStarted', { pollId: 'p1' });
+  const body = await res.body;
+
+  assert.deepEqual(body.events.map(({ id, data }) => [id, data.pollId]), [[2, 'p1']]);
+  assert.equal(body.lastEventId, 2);
+});
+
+test('an SSE stream replays from Last-Event-ID, then follows new events', async () => {
+  const [first, second] = createInstances();
+  await first.publish('session:ABC123', 'pollStarted', { pollId: 'p1' });
+  await first.publish('session:ABC123', 'responseSubmitted', { pollId: 'p1' });
+
+  let closed = false;
+  const res = response();
+  await first.streamHandler(request({ lastEventId: '1' }), res, {
+    rooms: ['session:ABC123'],
+    onClose: () => { closed = true; }
+  });
+  assert.equal(first.hasStream(['session:ABC123']), true);
+
+  await second.publish('session:ABC123', 'pollEnded', { pollId: 'p1' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const ids = Array.from(res.written.matchAll(/^id: (\d+)$/gm), match => Number(match[1]));
+  assert.deepEqual(ids, [2, 3]);
+  assert.match(res.written, /event: pollEnded\ndata: {"pollId":"p1"}/);
+
+  res.emit('close');
+  assert.equal(closed, true);
+  assert.equal(first.hasStream(['session:ABC123']), false);
+});
+
+test('an SSE stream ends after one of its closing events, wherever it was published', async () => {
+  const [first, second] = createInstances();
+  const staffRoom = 'staff:ABC123:ta';
+
+  const res = response();
+  await first.streamHandler(request(), res, { rooms: ['session:ABC123', staffRoom], closeOn: ['removedFromStaff'] });
+
+  await second.publish('staff:ABC123:other', 'removedFromStaff', { sessionCode: 'ABC123' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(res.ended, undefined);
+
+  await second.publish(staffRoom, 'removedFromStaff', { sessionCode: 'ABC123' });
+  await second.publish('session:ABC123', 'pollStarted', { pollId: 'p1' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(res.ended, true);
+  assert.match(res.written, /event: removedFromStaff/);
+  assert.doesNotMatch(res.written, /pollStarted/);
+  assert.equal(first.hasStream([staffRoom]), false);
+});
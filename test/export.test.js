@@ -0,0 +1,88 @@
+// Gradebook exports: the rows built from a finished poll, CSV quoting and
+// formula defusing, and the XLSX workbook
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { buildResponseRows, buildSummaryRows, toCsv, toXlsx } = require('../lib/export');
+
+const startTime = '2024-01-01T10:00:00.000Z';
+
+const poll = {
+  id: 'p1',
+  question: 'Capital of France?',
+  type: 'single',
+  options: ['Lyon', 'Paris'],
+  correctAnswer: 1,
+  sessionCode: 'ABC123',
+  startTime,
+  responses: {
+    s2: { studentId: 's2', studentName: '=HYPERLINK("http://evil")', selectedOption: 'Lyon', isCorrect: false, points: 0, timestamp: '2024-01-01T10:00:09.000Z' },
+    s1: { studentId: 's1', studentName: 'Alice, A.', selectedOption: 'Paris', isCorrect: true, points: 950, timestamp: '2024-01-01T10:00:02.500Z' }
+  },
+  finalResults: {
+    Lyon: { count: 1, percentage: 50 },
+    Paris: { count: 1, percentage: 50 }
+  },
+  summary: { totalResponses: 2, correctResponses: 1, correctPercentage: 50 }
+};
+
+test('response rows come in answer order with the time taken', () => {
+  const rows = buildResponseRows([poll]);
+
+  assert.deepEqual(rows.map(row => row.studentId), ['s1', 's2']);
+  assert.equal(rows[0].isCorrect, 'yes');
+  assert.equal(rows[0].timeToAnswer, 2.5);
+  assert.equal(rows[1].isCorrect, 'no');
+});
+
+test('the summary row describes the results and the answer key', () => {
+  const [row] = buildSummaryRows([poll]);
+
+  assert.equal(row.correctAnswer, 'Paris');
+  assert.equal(row.results, 'Lyon: 1 (50%); Paris: 1 (50%)');
+  assert.equal(row.correctPercentage, 50);
+
+  const [ungraded] = buildSummaryRows([{ ...poll, correctAnswer: null, summary: {} }]);
+  assert.equal(ungraded.correctAnswer, '');
+  assert.equal(ungraded.totalResponses, 2);
+});
+
+test('CSV cells are quoted, and formulas are defused', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'score', header: 'Score' }];
+  const csv = toCsv([
+    { name: 'Alice, A.', score: 10 },
+    { name: 'Say "hi"', score: -5 },
+    { name: '=SUM(A1:A9)', score: null },
+    { name: '+1', score: '-2' },
+    { name: '@cmd', score: 0 }
+  ], columns);
+
+  assert.deepEqual(csv.split('\r\n'), [
+    'Name,Score',
+    '"Alice, A.",10',
+    '"Say ""hi""",-5',
+    "'=SUM(A1:A9),",
+    "'+1,'-2",
+    "'@cmd,0",
+    ''
+  ]);
+});
+
+test('XLSX workbooks hold a Responses and a Summary sheet with text kept as text', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await toXlsx([poll]));
+
+  assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Responses', 'Summary']);
+
+  const responses = workbook.getWorksheet('Responses');
+  assert.equal(responses.rowCount, 3);
+  assert.equal(responses.getCell('A1').value, 'Poll ID');
+  assert.equal(responses.getCell('D2').value, 'Alice, A.');
+
+  const injected = responses.getCell('D3');
+  assert.equal(injected.value, '=HYPERLINK("http://evil")');
+  assert.equal(injected.type, ExcelJS.ValueType.String);
+
+  const summary = workbook.getWorksheet('Summary');
+  assert.equal(summary.getCell('I2').value, 'Paris');
+});
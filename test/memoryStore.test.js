@@ -0,0 +1,51 @@
+// The memory store's indexes of running and scheduled polls, which the
+// per-request checks for expired and due polls rely on
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../lib/storage/memory');
+
+const inAMinute = () => new Date(Date.now() + 60 * 1000).toISOString();
+
+test('running polls are listed from their index as they start and end', async () => {
+  const store = createMemoryStore();
+  await store.savePoll({ id: 'old', sessionCode: 'ABC123', isActive: false });
+  await store.savePoll({ id: 'live', sessionCode: 'ABC123', isActive: true });
+
+  assert.deepEqual((await store.listPolls({ isActive: true })).map(poll => poll.id), ['live']);
+
+  await store.savePoll({ id: 'live', sessionCode: 'ABC123', isActive: false });
+  assert.deepEqual(await store.listPolls({ isActive: true }), []);
+  assert.equal((await store.listPolls()).length, 2);
+});
+
+test('scheduled polls are listed soonest first, and only while waiting', async () => {
+  const store = createMemoryStore();
+  const later = new Date(Date.now() + 120 * 1000).toISOString();
+  const past = new Date(Date.now() - 1000).toISOString();
+
+  await store.savePoll({ id: 'later', sessionCode: 'ABC123', isActive: false, scheduledAt: later });
+  await store.savePoll({ id: 'due', sessionCode: 'XYZ789', isActive: false, scheduledAt: past });
+  await store.savePoll({ id: 'soon', sessionCode: 'ABC123', isActive: false, scheduledAt: inAMinute() });
+
+  assert.deepEqual((await store.listScheduledPolls()).map(poll => poll.id), ['due', 'soon', 'later']);
+  assert.deepEqual((await store.listScheduledPolls({ sessionCode: 'ABC123' })).map(poll => poll.id), ['soon', 'later']);
+  assert.deepEqual((await store.listScheduledPolls({ dueBy: new Date() })).map(poll => poll.id), ['due']);
+
+  await store.savePoll({ id: 'due', sessionCode: 'XYZ789', isActive: true, scheduledAt: null });
+  assert.deepEqual((await store.listScheduledPolls({ dueBy: new Date() })).map(poll => poll.id), []);
+});
+
+test('indexes are rebuilt from saved data', async () => {
+  const store = createMemoryStore({
+    data: {
+      polls: {
+        live: { id: 'live', isActive: true },
+        waiting: { id: 'waiting', isActive: false, scheduledAt: inAMinute() },
+        done: { id: 'done', isActive: false }
+      }
+    }
+  });
+
+  assert.deepEqual((await store.listPolls({ isActive: true })).map(poll => poll.id), ['live']);
+  assert.deepEqual((await store.listScheduledPolls()).map(poll => poll.id), ['waiting']);
+});
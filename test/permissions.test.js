@@ -0,0 +1,100 @@
+// What each member of a session may do: its owner, co-hosts and teaching
+// assistants who joined through an invitation, and teachers from elsewhere
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../lib/engine');
+const { ROLE_PERMISSIONS, can } = require('../lib/permissions');
+const { store } = require('../lib/storage');
+
+let session;
+const owner = { id: 'owner', role: 'teacher' };
+const cohost = { id: 'cohost', role: 'teacher' };
+const ta = { id: 'ta', role: 'teacher' };
+const outsider = { id: 'outsider', role: 'teacher' };
+
+async function joinAs(user, role) {
+  const { invitation } = await engine.createStaffInvitation(owner.id, session.code, { role });
+  const { member, error } = await engine.joinStaff(user, {
+    sessionCode: session.code,
+    inviteCode: invitation.code,
+    teacherName: user.id
+  });
+  assert.equal(error, undefined);
+  return member;
+}
+
+function asHost(user) {
+  return { ...user, sessionCode: session.code };
+}
+
+async function joinStudent(studentName) {
+  const { participant } = await engine.joinSession(null, { studentName, sessionCode: session.code });
+  return participant;
+}
+
+before(async () => {
+  session = await engine.createSession({ teacherId: owner.id, teacherName: 'Owner' });
+  await engine.createSession({ teacherId: outsider.id, teacherName: 'Outsider' });
+
+  assert.equal((await joinAs(cohost, 'cohost')).role, 'cohost');
+  assert.equal((await joinAs(ta, 'ta')).role, 'ta');
+});
+
+test('each role is checked against its permissions', async () => {
+  const stored = await store.getSession(session.code);
+
+  for (const [role, user] of [['owner', owner], ['cohost', cohost], ['ta', ta]]) {
+    for (const permission of ROLE_PERMISSIONS.owner) {
+      assert.equal(can(stored, user.id, permission), ROLE_PERMISSIONS[role].includes(permission), `${role} ${permission}`);
+    }
+  }
+  assert.equal(can(stored, outsider.id, 'results.view'), false);
+});
+
+test('co-hosts run polls; teaching assistants and outsiders cannot', async () => {
+  const { poll } = await engine.createPoll(asHost(cohost), { question: 'Q', options: ['a', 'b'] });
+  assert.ok(poll);
+
+  assert.equal((await engine.startPoll(poll.id, ta.id)).status, 403);
+  assert.equal((await engine.startPoll(poll.id, outsider.id)).status, 403);
+  assert.equal((await engine.createPoll(asHost(ta), { question: 'Q', options: ['a', 'b'] })).status, 403);
+
+  assert.equal((await engine.startPoll(poll.id, owner.id)).error, undefined);
+  assert.equal((await engine.pollControls.end(poll.id, ta.id)).status, 403);
+  assert.equal((await engine.pollControls.end(poll.id, cohost.id)).error, undefined);
+});
+
+test('teaching assistants moderate students but do not change chat settings', async () => {
+  const student = await joinStudent('Noisy');
+
+  assert.equal((await engine.muteStudent(ta.id, session.code, student.id, {})).error, undefined);
+  assert.equal((await engine.updateChatSettings(session.code, ta.id, { enabled: false })).status, 403);
+  assert.equal((await engine.kickParticipant(outsider.id, session.code, student.id)).status, 403);
+
+  const { ban } = await engine.kickParticipant(ta.id, session.code, student.id, { reason: 'Spam' });
+  assert.equal(ban.kickedBy.id, ta.id);
+});
+
+test('only the owner manages staff and closes the session', async () => {
+  assert.equal((await engine.createStaffInvitation(cohost.id, session.code, { role: 'ta' })).status, 403);
+  assert.equal((await engine.removeStaff(cohost.id, session.code, ta.id)).status, 403);
+  assert.equal((await engine.closeSession(session.code, cohost.id)).status, 403);
+});
+
+test('removed staff lose access straight away', async () => {
+  const assistant = { id: 'leaving-ta', role: 'teacher' };
+  await joinAs(assistant, 'ta');
+  const student = await joinStudent('Kept');
+
+  assert.equal((await engine.removeStaff(owner.id, session.code, assistant.id)).error, undefined);
+  assert.equal((await engine.kickParticipant(assistant.id, session.code, student.id)).status, 403);
+});
+
+test('a made-up invitation code is refused', async () => {
+  const { status } = await engine.joinStaff(outsider, {
+    sessionCode: session.code,
+    inviteCode: 'NOPE00',
+    teacherName: 'Outsider'
+  });
+  assert.equal(status, 403);
+});
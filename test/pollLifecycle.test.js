@@ -0,0 +1,170 @@
+// A poll from creation to its end through the engine: answers, results,
+// history and scores, and the checks along the way
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../lib/engine');
+const { store } = require('../lib/storage');
+
+async function startSession(teacherId) {
+  const session = await engine.createSession({ teacherId, teacherName: 'Teacher' });
+  return { session, teacher: { id: teacherId, role: 'teacher', sessionCode: session.code } };
+}
+
+async function joinStudent(sessionCode, studentName) {
+  const { participant } = await engine.joinSession(null, { studentName, sessionCode });
+  return { id: participant.id, name: participant.name, role: 'student', sessionCode };
+}
+
+test('a poll runs from creation to results', async () => {
+  const { session, teacher } = await startSession('lifecycle-teacher');
+  const alice = await joinStudent(session.code, 'Alice');
+  const bob = await joinStudent(session.code, 'Bob');
+
+  const { poll } = await engine.createPoll(teacher, {
+    question: 'Pick one',
+    options: ['a', 'b'],
+    correctAnswer: 'b',
+    duration: 30
+  });
+  assert.equal(poll.isActive, false);
+  assert.equal(poll.correctAnswer, 1);
+
+  const started = await engine.startPoll(poll.id, teacher.id);
+  assert.equal(started.error, undefined);
+
+  assert.equal((await engine.submitResponse(alice, poll.id, 'b')).error, undefined);
+  assert.equal((await engine.submitResponse(bob, poll.id, 'a')).error, undefined);
+
+  const ended = await engine.pollControls.end(poll.id, teacher.id);
+  assert.equal(ended.error, undefined);
+
+  const stored = await store.getPoll(poll.id);
+  assert.equal(stored.isActive, false);
+  assert.equal(stored.finalResults.a.count, 1);
+  assert.equal(stored.finalResults.b.count, 1);
+  assert.equal(stored.summary.totalResponses, 2);
+  assert.equal(stored.summary.correctResponses, 1);
+
+  const history = await store.listHistory({ sessionCode: session.code });
+  assert.equal(history.length, 1);
+  assert.equal(history[0].id, poll.id);
+
+  const scored = await store.getSession(session.code);
+  assert.ok(scored.scoreboard[alice.id].points > 0);
+  assert.equal(scored.scoreboard[bob.id]?.points ?? 0, 0);
+});
+
+test('answer keys name an option by index or text, and nothing else', async () => {
+  const { teacher } = await startSession('answer-key-teacher');
+  const create = body => engine.createPoll(teacher, { question: 'Q', options: ['a', 'b', 'c'], ...body });
+
+  assert.equal((await create({ correctAnswer: 2 })).poll.correctAnswer, 2);
+  assert.equal((await create({ correctAnswer: '1' })).poll.correctAnswer, 1);
+  assert.equal((await create({ correctAnswer: 'd' })).status, 400);
+  assert.equal((await create({ correctAnswer: 3 })).status, 400);
+
+  const multiple = await create({ type: 'multiple', correctAnswers: ['c', 0] });
+  assert.deepEqual(multiple.poll.correctAnswers, [0, 2]);
+  assert.equal((await create({ type: 'multiple', correctAnswers: [0, 5] })).status, 400);
+});
+
+test('answers are refused once the poll has ended', async () => {
+  const { session, teacher } = await startSession('ended-teacher');
+  const student = await joinStudent(session.code, 'Late');
+
+  const { poll } = await engine.createPoll(teacher, { question: 'Q', options: ['a', 'b'] });
+  await engine.startPoll(poll.id, teacher.id);
+  await engine.pollControls.end(poll.id, teacher.id);
+
+  const { status } = await engine.submitResponse(student, poll.id, 'a');
+  assert.equal(status, 400);
+});
+
+test('a student answers once unless the poll allows changing it', async () => {
+  const { session, teacher } = await startSession('change-teacher');
+  const student = await joinStudent(session.code, 'Student');
+
+  const { poll: fixed } = await engine.createPoll(teacher, { question: 'Fixed', options: ['a', 'b'] });
+  await engine.startPoll(fixed.id, teacher.id);
+  await engine.submitResponse(student, fixed.id, 'a');
+  assert.equal((await engine.submitResponse(student, fixed.id, 'b')).status, 409);
+  await engine.pollControls.end(fixed.id, teacher.id);
+
+  const { poll: open } = await engine.createPoll(teacher, { question: 'Open', options: ['a', 'b'], allowAnswerChange: true });
+  await engine.startPoll(open.id, teacher.id);
+  await engine.submitResponse(student, open.id, 'a');
+  const { changed } = await engine.submitResponse(student, open.id, 'b');
+  assert.equal(changed, true);
+
+  const stored = await store.getPoll(open.id);
+  assert.equal(stored.results.a.count, 0);
+  assert.equal(stored.results.b.count, 1);
+});
+
+test('only one poll runs in a session at a time', async () => {
+  const { teacher } = await startSession('busy-teacher');
+
+  const { poll } = await engine.createPoll(teacher, { question: 'First', options: ['a', 'b'] });
+  await engine.startPoll(poll.id, teacher.id);
+
+  const { status } = await engine.createPoll(teacher, { question: 'Second', options: ['a', 'b'] });
+  assert.equal(status, 409);
+});
+
+test('durations are clamped, and the time left matches', async () => {
+  const { teacher } = await startSession('duration-teacher');
+
+  const { poll } = await engine.createPoll(teacher, { question: 'Q', options: ['a', 'b'], duration: 1000 });
+  assert.equal(poll.duration, 300);
+  assert.equal(poll.timeLeft, 300);
+
+  const { status } = await engine.createPoll(teacher, { question: 'Q', options: ['a', 'b'], duration: 'soon' });
+  assert.equal(status, 400);
+});
+
+test('a quiz runs its questions in order and completes', async () => {
+  const { teacher } = await startSession('quiz-teacher');
+
+  const { quiz } = await engine.createQuiz(teacher, {
+    title: 'Quiz',
+    questions: [
+      { question: 'One', options: ['a', 'b'] },
+      { question: 'Two', options: ['a', 'b'] }
+    ]
+  });
+
+  await engine.quizControls.start(quiz.id, teacher.id);
+  assert.equal((await store.getQuiz(quiz.id)).currentIndex, 0);
+
+  await engine.quizControls.next(quiz.id, teacher.id);
+  assert.equal((await store.getQuiz(quiz.id)).currentIndex, 1);
+
+  await engine.quizControls.next(quiz.id, teacher.id);
+  const completed = await store.getQuiz(quiz.id);
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.summary.questions.length, 2);
+});
+
+test('closing a session completes its running quiz', async () => {
+  const { session, teacher } = await startSession('closing-teacher');
+
+  const { quiz } = await engine.createQuiz(teacher, {
+    title: 'Quiz',
+    autoAdvance: true,
+    advanceDelay: 5,
+    questions: [
+      { question: 'One', options: ['a', 'b'] },
+      { question: 'Two', options: ['a', 'b'] }
+    ]
+  });
+  await engine.quizControls.start(quiz.id, teacher.id);
+
+  assert.equal((await engine.closeSession(session.code, teacher.id)).error, undefined);
+
+  const closed = await store.getQuiz(quiz.id);
+  assert.equal(closed.status, 'completed');
+  assert.equal(closed.advanceAt, null);
+  assert.equal(closed.currentIndex, 0);
+  assert.equal((await store.getPoll(quiz.pollIds[0])).isActive, false);
+  assert.equal((await store.getPoll(quiz.pollIds[1])).isActive, false);
+});
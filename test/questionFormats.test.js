@@ -0,0 +1,121 @@
+// Question bank import and export: each format's parser, the line numbers it
+// reports problems on, and what comes back after a round trip
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuestions, serializeQuestions } = require('../lib/questionFormats');
+
+const bank = [
+  { id: 'q1', question: 'Capital of France?', type: 'single', options: ['Lyon', 'Paris'], correctAnswer: 1, graded: true, tags: ['geo'] },
+  { id: 'q2', question: 'Primes', type: 'multiple', options: ['2', '4', '5'], correctAnswers: [0, 2], graded: true },
+  { id: 'q3', question: 'Pi?', type: 'numeric', correctValue: 3.14, tolerance: 0.01, graded: true }
+];
+
+test('JSON questions keep the line they start on', () => {
+  const content = '[\n  { "question": "One", "options": ["a", "b"] },\n  "two",\n  {\n    "question": "Three"\n  }\n]';
+  const { questions, errors } = parseQuestions('json', content);
+
+  assert.deepEqual(questions.map(question => question.line), [2, 4]);
+  assert.deepEqual(questions[0].body, { question: 'One', options: ['a', 'b'] });
+  assert.deepEqual(errors, [{ line: 3, error: 'Question 2 must be an object' }]);
+
+  assert.equal(parseQuestions('json', '{ "questions": [{ "question": "Q" }] }').questions.length, 1);
+  assert.equal(parseQuestions('json', '{ "question": "Q" }').errors[0].line, 1);
+  assert.match(parseQuestions('json', '[\n{ "question": }\n]').errors[0].error, /^Invalid JSON/);
+});
+
+test('CSV answers are option texts, and unknown ones are reported on their row', () => {
+  const content = [
+    'question,type,options,answer,tags',
+    'Capital?,single,Lyon|Paris,Paris,geo|europe',
+    'Primes,multiple,2|4|5,2|5,',
+    'Colour?,single,Red|Blue,Green,'
+  ].join('\n');
+  const { questions, errors } = parseQuestions('csv', content);
+
+  assert.deepEqual(questions[0], {
+    line: 2,
+    body: { question: 'Capital?', type: 'single', tags: ['geo', 'europe'], options: ['Lyon', 'Paris'], correctAnswer: 1, graded: true }
+  });
+  assert.deepEqual(questions[1].body.correctAnswers, [0, 2]);
+  assert.deepEqual(errors, [{ line: 4, error: 'Answer "Green" is not one of the options' }]);
+
+  assert.deepEqual(parseQuestions('csv', 'prompt,options\nQ,a|b').errors, [{ line: 1, error: 'The header row needs a "question" column' }]);
+  assert.deepEqual(parseQuestions('csv', '\n\n').errors, [{ line: 1, error: 'The file is empty' }]);
+});
+
+test('GIFT reads choice, true/false and numeric answers, with categories as tags', () => {
+  const content = [
+    '$CATEGORY: $course$/top/Geography',
+    '',
+    '// A comment',
+    '::Q1:: Capital of France? {~Lyon =Paris}',
+    '',
+    'The earth is flat. {F}',
+    '',
+    'Pi to two places? {#3.14:0.01}',
+    '',
+    'Pick a pair {a -> b}'
+  ].join('\n');
+  const { questions, errors } = parseQuestions('gift', content);
+
+  assert.deepEqual(questions.map(question => question.line), [4, 6, 8]);
+  assert.deepEqual(questions[0].body, { question: 'Capital of France?', type: 'single', options: ['Lyon', 'Paris'], correctAnswer: 1, tags: ['Geography'] });
+  assert.equal(questions[1].body.correctAnswer, 1);
+  assert.deepEqual(questions[1].body.options, ['True', 'False']);
+  assert.equal(questions[2].body.correctValue, 3.14);
+  assert.equal(questions[2].body.tolerance, 0.01);
+  assert.deepEqual(errors, [{ line: 10, error: 'Matching questions are not supported' }]);
+
+  const range = parseQuestions('gift', 'Between? {#1..5}').questions[0].body;
+  assert.deepEqual([range.correctValue, range.tolerance], [3, 2]);
+});
+
+test('Aiken reads single choice questions and reports a wrong ANSWER line', () => {
+  const content = [
+    'Capital of France?',
+    'A. Lyon',
+    'B) Paris',
+    'ANSWER: B',
+    '',
+    'Largest planet?',
+    'A. Mars',
+    'B. Jupiter',
+    'ANSWER: C'
+  ].join('\n');
+  const { questions, errors } = parseQuestions('aiken', content);
+
+  assert.deepEqual(questions, [{
+    line: 1,
+    body: { question: 'Capital of France?', type: 'single', options: ['Lyon', 'Paris'], correctAnswer: 1 }
+  }]);
+  assert.deepEqual(errors, [{ line: 9, error: 'ANSWER C does not match any option' }]);
+
+  assert.deepEqual(parseQuestions('aiken', 'Q?\nA. a\nB. b').errors, [{ line: 1, error: 'Missing "ANSWER:" line' }]);
+});
+
+test('exported questions read back the same', () => {
+  for (const format of ['json', 'csv', 'gift']) {
+    const { content, skipped } = serializeQuestions(format, bank);
+    const { questions, errors } = parseQuestions(format, content);
+
+    assert.deepEqual(skipped, [], format);
+    assert.deepEqual(errors, [], format);
+    assert.equal(questions[0].body.correctAnswer, 1, format);
+    assert.deepEqual(questions[1].body.correctAnswers, [0, 2], format);
+    assert.equal(Number(questions[2].body.correctValue), 3.14, format);
+  }
+
+  const aiken = serializeQuestions('aiken', bank);
+  assert.deepEqual(aiken.skipped, ['q2', 'q3']);
+  assert.deepEqual(parseQuestions('aiken', aiken.content).questions[0].body.options, ['Lyon', 'Paris']);
+});
+
+test('CSV exports defuse formula-like text and read it back unchanged', () => {
+  const question = { id: 'f', question: '=1+1', type: 'single', options: ['+a', '@b'], correctAnswer: 0, graded: true };
+  const { content } = serializeQuestions('csv', [question]);
+
+  assert.match(content, /'=1\+1/);
+  const [{ body }] = parseQuestions('csv', content).questions;
+  assert.equal(body.question, '=1+1');
+  assert.deepEqual(body.options, ['+a', '@b']);
+});
@@ -0,0 +1,70 @@
+// The payload contracts in lib/schemas.js, for socket events and REST bodies
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, socketEvents, rest, validate, validateBody } = require('../lib/schemas');
+
+test('a valid poll passes', () => {
+  assert.equal(validate(rest['POST /api/poll/create'], {
+    question: 'Pick one',
+    options: ['a', 'b'],
+    duration: 30
+  }), null);
+});
+
+test('problems name the field and carry the validation code', () => {
+  const missing = validate(rest['POST /api/poll/create'], { options: ['a', 'b'] });
+  assert.deepEqual(missing, { code: ERROR_CODES.VALIDATION_FAILED, error: 'question is required', field: 'question' });
+
+  const wrongType = validate(rest['POST /api/poll/create'], { question: 'Q', duration: 'long' });
+  assert.equal(wrongType.field, 'duration');
+});
+
+test('quiz questions are checked one by one', () => {
+  const schema = rest['POST /api/quiz/create'];
+
+  assert.equal(validate(schema, { title: 'Quiz', questions: [{ question: 'One' }] }), null);
+  assert.equal(validate(schema, { title: 'Quiz', questions: [{ question: 'One' }, {}] }).field, 'questions[1].question');
+  assert.equal(validate(schema, { title: 'Quiz', questions: [], advanceDelay: 500 }).field, 'advanceDelay');
+
+  const tooMany = Array.from({ length: 51 }, (_, index) => ({ question: `Q${index}` }));
+  assert.equal(validate(schema, { title: 'Quiz', questions: tooMany }).field, 'questions');
+});
+
+test('chat messages have a length limit on both transports', () => {
+  const long = { message: 'x'.repeat(2001) };
+
+  assert.equal(validate(socketEvents.sendMessage, long).field, 'message');
+  assert.equal(validate(rest['POST /api/chat/messages'], long).field, 'message');
+  assert.equal(validate(rest['POST /api/chat/messages'], { message: '   ' }).error, 'message is required');
+  assert.equal(validate(rest['POST /api/chat/mute'], {}).field, 'studentId');
+});
+
+test('bans and mutes take whole seconds within range', () => {
+  assert.equal(validate(socketEvents.kickParticipant, { studentId: 's1', duration: 1.5 }).field, 'duration');
+  assert.equal(validate(socketEvents.kickParticipant, { studentId: 's1', duration: null }), null);
+  assert.equal(validate(socketEvents.muteStudent, { studentId: 's1', duration: 86401 }).field, 'duration');
+});
+
+test('validateBody answers 400 with the problem and lets valid bodies through', () => {
+  const middleware = validateBody('POST /api/chat/messages');
+
+  let sent = null;
+  const res = {
+    status(code) {
+      sent = { code };
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+    }
+  };
+
+  let passed = false;
+  middleware({ body: { message: 'Hello' } }, res, () => { passed = true; });
+  assert.equal(passed, true);
+  assert.equal(sent, null);
+
+  middleware({ body: {} }, res, () => { passed = false; });
+  assert.equal(sent.code, 400);
+  assert.equal(sent.body.field, 'message');
+});
@@ -0,0 +1,74 @@
+// Points for answers, the speed bonus, and how the scoreboard is ranked and
+// cut down to a leaderboard
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SCORING,
+  configureScoring,
+  scoreResponse,
+  applyPollScores,
+  rankScoreboard,
+  buildLeaderboard
+} = require('../lib/scoring');
+
+const startTime = '2024-01-01T10:00:00.000Z';
+const after = seconds => new Date(new Date(startTime).getTime() + seconds * 1000).toISOString();
+
+const poll = { type: 'single', options: ['a', 'b'], correctAnswer: 1, startTime, duration: 20 };
+const speedy = { ...DEFAULT_SCORING, speedBonus: true };
+
+function entry(studentId, points, correct = 0) {
+  return { studentId, studentName: studentId, points, correct, answered: 2 };
+}
+
+test('a correct answer earns its points, a wrong one nothing', () => {
+  assert.equal(scoreResponse(poll, { isCorrect: true, timestamp: after(5) }, DEFAULT_SCORING), 100);
+  assert.equal(scoreResponse(poll, { isCorrect: false, timestamp: after(1) }, speedy), 0);
+});
+
+test('the speed bonus shrinks over the poll and stops at its end', () => {
+  assert.equal(scoreResponse(poll, { isCorrect: true, timestamp: after(0) }, speedy), 150);
+  assert.equal(scoreResponse(poll, { isCorrect: true, timestamp: after(10) }, speedy), 125);
+  assert.equal(scoreResponse(poll, { isCorrect: true, timestamp: after(25) }, speedy), 100);
+});
+
+test('ended polls add to the scoreboard, ungraded ones do not', () => {
+  const session = { scoring: { pointsPerCorrect: 10 } };
+  const responses = () => ({
+    s1: { studentId: 's1', studentName: 'Alice', isCorrect: true, timestamp: after(2) },
+    s2: { studentId: 's2', studentName: 'Bob', isCorrect: false, timestamp: after(3) }
+  });
+
+  applyPollScores(session, { ...poll, responses: responses() });
+  applyPollScores(session, { ...poll, responses: responses() });
+  applyPollScores(session, { ...poll, graded: false, responses: responses() });
+
+  assert.deepEqual(session.scoreboard.s1, { studentId: 's1', studentName: 'Alice', points: 20, correct: 2, answered: 2 });
+  assert.deepEqual(session.scoreboard.s2, { studentId: 's2', studentName: 'Bob', points: 0, correct: 0, answered: 2 });
+});
+
+test('tied students share a rank', () => {
+  const session = { scoreboard: { c: entry('c', 50), a: entry('a', 100), b: entry('b', 100), d: entry('d', 10) } };
+
+  assert.deepEqual(rankScoreboard(session).map(({ studentId, rank }) => [studentId, rank]),
+    [['a', 1], ['b', 1], ['c', 3], ['d', 4]]);
+});
+
+test('a student outside the top of the leaderboard still sees their standing', () => {
+  const session = { scoreboard: { a: entry('a', 300), b: entry('b', 200), c: entry('c', 100) } };
+
+  const board = buildLeaderboard(session, { limit: 2, studentId: 'c' });
+  assert.deepEqual(board.entries.map(({ studentId }) => studentId), ['a', 'b']);
+  assert.equal(board.totalStudents, 3);
+  assert.equal(board.standing.rank, 3);
+
+  assert.equal(buildLeaderboard(session, { studentId: 'newcomer' }).standing, null);
+  assert.equal('standing' in buildLeaderboard(session), false);
+});
+
+test('scoring settings are checked before they are saved', () => {
+  assert.deepEqual(configureScoring(DEFAULT_SCORING, { speedBonus: true, leaderboardSize: 5 }),
+    { ...DEFAULT_SCORING, speedBonus: true, leaderboardSize: 5 });
+  assert.ok(configureScoring(DEFAULT_SCORING, { pointsPerCorrect: -1 }).error);
+  assert.ok(configureScoring(DEFAULT_SCORING, { leaderboardSize: 0 }).error);
+});
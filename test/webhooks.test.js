@@ -0,0 +1,129 @@
+// Outbound webhooks: the signature receivers check, the refusal of receivers
+// on this server's own network, and retries after a failed attempt
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const webhooks = require('../lib/webhooks');
+const { store } = require('../lib/storage');
+
+const TEACHER_ID = 'webhook-teacher';
+
+// Resolves once `check` returns something, polling the store in between
+async function waitFor(check) {
+  for (let tries = 0; tries < 200; tries++) {
+    const found = await check();
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+}
+
+// A webhook saved directly, skipping the address check made on create
+async function saveWebhook(url) {
+  const webhook = {
+    id: uuidv4(),
+    teacherId: TEACHER_ID,
+    url,
+    events: Object.keys(webhooks.WEBHOOK_EVENTS),
+    description: '',
+    active: true,
+    secret: 'x'.repeat(32),
+    createdAt: new Date().toISOString()
+  };
+  await store.saveWebhook(webhook);
+  return webhook;
+}
+
+after(() => webhooks.stopRetries());
+
+test('signatures are an HMAC-SHA256 of the timestamp and body', () => {
+  const body = JSON.stringify({ event: 'poll.ended' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(webhooks.sign('secret', 1700000000, body), expected);
+  assert.notEqual(webhooks.sign('other', 1700000000, body), expected);
+});
+
+test('receivers on private or loopback addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook'
+  ]) {
+    const { status, error } = await webhooks.createWebhook(TEACHER_ID, { url });
+    assert.equal(status, 400, url);
+    assert.match(error, /public address/, url);
+  }
+
+  assert.equal((await webhooks.createWebhook(TEACHER_ID, { url: 'ftp://example.com/' })).status, 400);
+  assert.equal((await webhooks.createWebhook(TEACHER_ID, { url: 'https://example.com/', secret: 'short' })).status, 400);
+});
+
+test('a failed attempt is logged and retried later', async () => {
+  await webhooks.resumePendingDeliveries();
+
+  // Saved past the create check, the address is still refused when sending
+  const webhook = await saveWebhook('http://127.0.0.1:9/hook');
+  const events = new EventEmitter();
+  webhooks.attachWebhooks(events);
+  events.emit('participantJoined', {
+    session: { code: 'ABC123', teacherId: TEACHER_ID },
+    participant: { id: 's1', name: 'Student' },
+    resumed: false
+  });
+
+  const delivery = await waitFor(async () => {
+    const [found] = await store.listDeliveries({ webhookId: webhook.id });
+    return found && found.attempts.length > 0 && found;
+  });
+
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts[0].statusCode, null);
+  assert.match(delivery.attempts[0].error, /private address/);
+
+  const retryIn = new Date(delivery.nextAttemptAt).getTime() - Date.now();
+  assert.ok(retryIn > 5000 && retryIn <= 10 * 1000, `retry in ${retryIn} ms`);
+});
+
+test('a delivery out of retries fails, and a replay starts them over', async () => {
+  const webhook = await saveWebhook('http://127.0.0.1:9/hook');
+  const createdAt = new Date(Date.now() - 60 * 1000).toISOString();
+  const attempt = { at: createdAt, durationMs: 1, statusCode: 500, error: 'Receiver answered 500' };
+
+  await store.saveDelivery({
+    id: 'last-try',
+    webhookId: webhook.id,
+    teacherId: TEACHER_ID,
+    event: 'poll.ended',
+    payload: { id: 'last-try', event: 'poll.ended', createdAt, data: {} },
+    status: 'pending',
+    attempts: Array.from({ length: 5 }, () => ({ ...attempt })),
+    retryFrom: 0,
+    nextAttemptAt: createdAt,
+    createdAt,
+    completedAt: null,
+    error: null
+  });
+
+  // Due already, so the timer owner sends it straight away
+  await webhooks.resumePendingDeliveries();
+  const failed = await waitFor(async () => {
+    const found = await store.getDelivery('last-try');
+    return found.status !== 'pending' && found;
+  });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts.length, 6);
+
+  const { delivery } = await webhooks.replayDelivery('last-try', TEACHER_ID);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.retryFrom, 6);
+  assert.equal(delivery.attempts.length, 7);
+  assert.ok(delivery.nextAttemptAt);
+
+  assert.equal((await webhooks.replayDelivery('last-try', 'someone-else')).status, 404);
+});